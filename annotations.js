@@ -0,0 +1,404 @@
+/*
+  Bookmarks, highlights + notes
+  - A bookmark marks the reading position; a highlight marks the text selected in the
+    read-along view, the textarea or on a PDF page. Either can carry a note.
+  - Items are stored per document in IndexedDB (storage.js, by document hash); pasted text
+    that is not in the library keeps them for the session only.
+  - Each item keeps the text it was made on, so after edits or other PDF cleanup options it
+    is moved to the nearest place that text still occurs.
+  - Highlights are drawn in the read-along view and on PDF pages; the panel lists everything
+    in reading order and starts reading at an item through jumpToCharIndex.
+  - "Play only my highlights" makes playback read each highlight and skip to the next
+    (highlightPlaybackRange, the reader's play range in script.js).
+  - Export as Markdown or JSON, with page numbers for PDFs.
+*/
+
+const BOOKMARK_SNIPPET_CHARS = 80;
+let annotations = []; // {id, hash, type:'bookmark'|'highlight', start, end, text, note, page, createdAt}, sorted by start
+let sessionAnnotations = []; // the list used for text that is not a library document
+let annotationLoad = 0; // increments per refresh so a stale IndexedDB read is dropped
+let editingAnnotation = null; // item whose note is open in the panel
+let annotationMarksFrame = 0;
+let annotationEditTimer = null;
+let highlightsOnly = localStorage.getItem('highlightsOnly') === '1';
+const bookmarkBtn = $('bookmarkBtn');
+const highlightBtn = $('highlightBtn');
+const noteBtn = $('noteBtn');
+const annotationList = $('annotationList');
+const annotationInfo = $('annotationInfo');
+const highlightsOnlyToggle = $('highlightsOnlyToggle');
+const exportNotesMdBtn = $('exportNotesMdBtn');
+const exportNotesJsonBtn = $('exportNotesJsonBtn');
+
+/* ---------- Loading + anchoring ---------- */
+// A document's items, read from IndexedDB once and then kept on the document
+function documentAnnotations(doc) {
+  if (!doc.annotationsLoading) {
+    const read = doc.hash ? listStoredAnnotations(doc.hash) : Promise.resolve([]);
+    doc.annotationsLoading = read
+      .catch(e => { console.warn('Could not load annotations', e); return []; })
+      .then(list => (doc.annotations = list));
+  }
+  return doc.annotationsLoading;
+}
+
+// Page number of a char offset when a PDF is shown (null otherwise)
+function annotationPage(pos) {
+  if (!isPDFMode || !pdfPagesMeta.length) return null;
+  const page = pdfPagesMeta[findChunkIndex(pageStartOffsets(pdfPagesMeta), pos)];
+  return page ? page.pageNum : null;
+}
+
+// Text an item is anchored to: the highlighted text, or the start of a bookmark's passage
+function anchorText(type, start, end) {
+  if (type === 'highlight') return currentText.slice(start, end);
+  return currentText.slice(start, start + BOOKMARK_SNIPPET_CHARS);
+}
+
+// Move an item whose text is no longer at its offsets; returns true when it changed
+function anchorAnnotation(item) {
+  const len = item.text.length;
+  if (!len || currentText.slice(item.start, item.start + len) === item.text) return false;
+  if (item.start + len > currentText.length && pdfTextPending()) return false; // its pages are still being extracted
+  let best = -1;
+  for (let i = currentText.indexOf(item.text); i >= 0; i = currentText.indexOf(item.text, i + 1)) {
+    if (best < 0 || Math.abs(i - item.start) < Math.abs(best - item.start)) best = i;
+  }
+  const span = item.end - item.start;
+  if (best >= 0) item.start = best;
+  else item.start = Math.min(item.start, currentText.length); // text gone: keep the spot
+  item.end = Math.min(item.start + span, currentText.length);
+  item.page = annotationPage(item.start) || item.page;
+  return true;
+}
+
+function sortAnnotations() {
+  annotations.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// The text being read changed (new document, edits, PDF cleanup)
+async function refreshAnnotations() {
+  const load = ++annotationLoad;
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  annotations = doc ? doc.annotations || [] : sessionAnnotations; // never the previous document's while loading
+  const list = doc ? await documentAnnotations(doc) : sessionAnnotations;
+  if (load !== annotationLoad) return;
+  annotations = list;
+  editingAnnotation = null;
+  if (currentText) {
+    for (const item of annotations) if (anchorAnnotation(item)) saveAnnotation(item);
+  }
+  sortAnnotations();
+  renderAnnotations();
+  markAnnotations();
+}
+
+/* ---------- Adding + editing ---------- */
+function saveAnnotation(item) {
+  if (!item.hash) return;
+  putStoredAnnotation(item).catch(e => console.warn('Could not save annotation', e));
+}
+
+function addAnnotation(type, start, end) {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const item = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    hash: doc ? doc.hash : null,
+    type,
+    start,
+    end,
+    text: anchorText(type, start, end),
+    note: '',
+    page: annotationPage(start),
+    createdAt: Date.now()
+  };
+  annotations.push(item);
+  sortAnnotations();
+  saveAnnotation(item);
+  renderAnnotations();
+  markAnnotations();
+  return item;
+}
+
+// The selected range (trimmed), or null; the textarea selection that shows the spoken word
+// while playing in the edit view does not count
+function annotationSelection() {
+  const fromPDF = pdfSelectionRange();
+  let [a, b] = selectedTextRange(); // read-along.js
+  if (b <= a || (isPlaying && !fromPDF && !readAlongActive())) return null;
+  while (a < b && /\s/.test(currentText[a])) a++;
+  while (b > a && /\s/.test(currentText[b - 1])) b--;
+  return b > a ? [a, b] : null;
+}
+
+function addBookmark() {
+  if (!currentText) {
+    alert('No text loaded. Upload or paste text first.');
+    return null;
+  }
+  const pos = Math.max(0, Math.min(currentText.length, reader.position));
+  const existing = annotations.find(a => a.type === 'bookmark' && a.start === pos);
+  if (existing) return existing;
+  return addAnnotation('bookmark', pos, pos);
+}
+
+function addHighlight() {
+  const range = currentText ? annotationSelection() : null;
+  if (!range) {
+    alert('Select some text in the reader or on a PDF page first.');
+    return null;
+  }
+  const existing = annotations.find(a => a.type === 'highlight' && a.start === range[0] && a.end === range[1]);
+  if (existing) return existing;
+  const item = addAnnotation('highlight', range[0], range[1]);
+  if (window.getSelection) window.getSelection().removeAllRanges(); // show the highlight, not the selection
+  return item;
+}
+
+// Note on a highlight of the selection, or on a bookmark at the reading position
+function addNote() {
+  const item = currentText && annotationSelection() ? addHighlight() : addBookmark();
+  if (item) editAnnotationNote(item);
+}
+
+function editAnnotationNote(item) {
+  editingAnnotation = item;
+  renderAnnotations();
+  const input = annotationList && annotationList.querySelector('.annotation-note-input');
+  if (!input) return;
+  input.focus();
+  if (input.scrollIntoView) input.scrollIntoView({block: 'nearest'});
+}
+
+function setAnnotationNote(item, note) {
+  editingAnnotation = null;
+  if (item.note !== note) {
+    item.note = note;
+    saveAnnotation(item);
+  }
+  renderAnnotations();
+}
+
+function removeAnnotation(item) {
+  const idx = annotations.indexOf(item);
+  if (idx < 0) return;
+  annotations.splice(idx, 1);
+  if (item.hash) deleteStoredAnnotation(item.id).catch(e => console.warn('Could not delete annotation', e));
+  if (editingAnnotation === item) editingAnnotation = null;
+  renderAnnotations();
+  markAnnotations();
+}
+
+function readFromAnnotation(item) {
+  jumpToCharIndex(item.start);
+  updateCurrentSection(item.start);
+}
+
+/* ---------- Panel ---------- */
+function annotationSnippet(item) {
+  const text = item.type === 'highlight' ? currentText.slice(item.start, item.end) : anchorText(item.type, item.start, item.end);
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > BOOKMARK_SNIPPET_CHARS ? flat.slice(0, BOOKMARK_SNIPPET_CHARS) + '…' : flat;
+}
+
+function annotationNoteEditor(item) {
+  const input = document.createElement('textarea');
+  input.className = 'annotation-note-input';
+  input.rows = 2;
+  input.placeholder = 'Note';
+  input.setAttribute('aria-label', 'Note');
+  input.value = item.note || '';
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('change', () => setAnnotationNote(item, input.value.trim()));
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      input.blur();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      input.value = item.note || '';
+      setAnnotationNote(item, item.note || '');
+    }
+  });
+  input.addEventListener('blur', () => {
+    if (editingAnnotation === item) setAnnotationNote(item, input.value.trim());
+  });
+  return input;
+}
+
+function renderAnnotations() {
+  const highlights = annotations.filter(a => a.type === 'highlight').length;
+  const bookmarks = annotations.length - highlights;
+  if (annotationInfo) {
+    annotationInfo.textContent = annotations.length
+      ? `${highlights} highlight${highlights === 1 ? '' : 's'} • ${bookmarks} bookmark${bookmarks === 1 ? '' : 's'}`
+      : '';
+  }
+  if (highlightsOnlyToggle) highlightsOnlyToggle.disabled = !highlights;
+  if (exportNotesMdBtn) exportNotesMdBtn.disabled = !annotations.length;
+  if (exportNotesJsonBtn) exportNotesJsonBtn.disabled = !annotations.length;
+  if (!annotationList) return;
+  annotationList.innerHTML = '';
+  if (!annotations.length) {
+    annotationList.innerHTML = '<div class="small-muted">No bookmarks or highlights yet</div>';
+    return;
+  }
+  for (const item of annotations) {
+    const row = document.createElement('div');
+    row.className = `file-item annotation-item ${item.type}`;
+    row.title = 'Click to read from here';
+    row.addEventListener('click', () => readFromAnnotation(item));
+    const meta = document.createElement('div');
+    meta.className = 'file-meta';
+    const head = document.createElement('div');
+    head.className = 'small-muted';
+    const page = annotationPage(item.start) || item.page;
+    head.innerHTML = `<i class="fa ${item.type === 'highlight' ? 'fa-highlighter' : 'fa-bookmark'}"></i> `;
+    head.appendChild(document.createTextNode((item.type === 'highlight' ? 'Highlight' : 'Bookmark') + (page ? ` • page ${page}` : '')));
+    const text = document.createElement('div');
+    text.className = 'annotation-text';
+    text.textContent = annotationSnippet(item);
+    meta.appendChild(head);
+    meta.appendChild(text);
+    if (item === editingAnnotation) {
+      meta.appendChild(annotationNoteEditor(item));
+    } else if (item.note) {
+      const note = document.createElement('div');
+      note.className = 'annotation-note';
+      note.textContent = item.note;
+      meta.appendChild(note);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'file-actions';
+    actions.appendChild(fileActionButton('fa-note-sticky', item.note ? 'Edit note' : 'Add note', () => editAnnotationNote(item)));
+    actions.appendChild(fileActionButton('fa-xmark', 'Remove', () => removeAnnotation(item)));
+    row.appendChild(meta);
+    row.appendChild(actions);
+    annotationList.appendChild(row);
+  }
+}
+
+/* ---------- Marks in the views ---------- */
+function markAnnotations() {
+  setPDFMarks('pdf-annotation', isPDFMode ? annotations.filter(item => item.type === 'highlight') : []);
+  placeAnnotationMarks();
+}
+
+// Read-along: only highlights around the visible part of the view are measured
+function placeAnnotationMarks() {
+  cancelAnimationFrame(annotationMarksFrame);
+  if (!readAlongActive()) return;
+  const rects = [];
+  const [from, to] = readAlongVisibleRange();
+  for (const item of annotations) {
+    if (item.type !== 'highlight' || item.end <= from) continue;
+    if (item.start >= to) break;
+    rects.push(...readAlongRects(item.start, item.end));
+  }
+  placeMarks('read-along-annotation', rects, 1);
+}
+
+function scheduleAnnotationMarks() {
+  if (!annotations.length) return;
+  cancelAnimationFrame(annotationMarksFrame);
+  annotationMarksFrame = requestAnimationFrame(placeAnnotationMarks);
+}
+
+/* ---------- Play only highlights ---------- */
+// The stretch to read from pos when only highlights are played: {start, end} inside the
+// next highlight, null when none is left, undefined when the mode is off (or there are none)
+function highlightPlaybackRange(pos) {
+  if (!highlightsOnly) return undefined;
+  const highlights = annotations.filter(a => a.type === 'highlight' && a.end > a.start);
+  if (!highlights.length) return undefined;
+  // highlights on PDF pages still being extracted wait until their text arrives
+  const ranges = highlights.filter(a => a.end <= currentText.length);
+  let found = null;
+  for (const r of ranges) { // sorted by start; overlapping highlights are read as one
+    if (found && r.start <= found.end) found.end = Math.max(found.end, r.end);
+    else if (found) break;
+    else if (r.end > pos) found = {start: Math.max(pos, r.start), end: r.end};
+  }
+  return found;
+}
+
+function setHighlightsOnly(on) {
+  highlightsOnly = on;
+  localStorage.setItem('highlightsOnly', on ? '1' : '0');
+  scheduleSettingRestart(); // script.js
+}
+
+/* ---------- Export ---------- */
+function annotationExportName(ext) {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const base = doc ? doc.name.replace(/\.[^.]+$/, '') : 'text';
+  return `${base}-notes.${ext}`;
+}
+
+function annotationRecords() {
+  return annotations.map(item => ({
+    type: item.type,
+    start: item.start,
+    end: item.end,
+    page: annotationPage(item.start) || item.page || null,
+    text: item.type === 'highlight' ? currentText.slice(item.start, item.end) : annotationSnippet(item),
+    note: item.note || '',
+    createdAt: new Date(item.createdAt).toISOString()
+  }));
+}
+
+function annotationsMarkdown() {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const lines = [`# Notes: ${doc ? doc.name : 'Pasted text'}`, ''];
+  for (const r of annotationRecords()) {
+    const where = r.page ? `page ${r.page}` : `character ${r.start}`;
+    if (r.type === 'highlight') {
+      lines.push(`## Highlight (${where})`, '');
+      lines.push(...r.text.split(/\n/).map(l => `> ${l}`.trimEnd()), '');
+    } else {
+      lines.push(`## Bookmark (${where})`, '', `“${r.text}”`, '');
+    }
+    if (r.note) lines.push(r.note, '');
+  }
+  return lines.join('\n');
+}
+
+function exportAnnotations(format) {
+  if (!annotations.length) return;
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const data = format === 'json'
+    ? JSON.stringify({version: 1, document: doc ? doc.name : null, annotations: annotationRecords()}, null, 2)
+    : annotationsMarkdown();
+  const blob = new Blob([data], {type: format === 'json' ? 'application/json' : 'text/markdown'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = annotationExportName(format === 'json' ? 'json' : 'md');
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+}
+
+/* ---------- Wiring ---------- */
+// mousedown would clear a selection in the read-along view before the click
+for (const btn of [highlightBtn, noteBtn]) {
+  if (btn) btn.addEventListener('mousedown', (e) => e.preventDefault());
+}
+if (bookmarkBtn) bookmarkBtn.addEventListener('click', addBookmark);
+if (highlightBtn) highlightBtn.addEventListener('click', addHighlight);
+if (noteBtn) noteBtn.addEventListener('click', addNote);
+if (highlightsOnlyToggle) {
+  highlightsOnlyToggle.checked = highlightsOnly;
+  highlightsOnlyToggle.addEventListener('change', () => setHighlightsOnly(highlightsOnlyToggle.checked));
+}
+if (exportNotesMdBtn) exportNotesMdBtn.addEventListener('click', () => exportAnnotations('md'));
+if (exportNotesJsonBtn) exportNotesJsonBtn.addEventListener('click', () => exportAnnotations('json'));
+if (readAlong) readAlong.addEventListener('scroll', scheduleAnnotationMarks, {passive: true});
+window.addEventListener('resize', scheduleAnnotationMarks);
+// Edited text: items follow their text once typing pauses
+pasteBox.addEventListener('input', () => {
+  clearTimeout(annotationEditTimer);
+  annotationEditTimer = setTimeout(refreshAnnotations, 400);
+});
+
+refreshAnnotations();
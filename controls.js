@@ -0,0 +1,286 @@
+/*
+  Media keys + keyboard shortcuts
+  - Media Session API: document/section metadata and play, pause, stop, seek back/forward
+    (sentence) and previous/next track (chapter, or document when there are no chapters),
+    so hardware media keys, headset buttons and the lock screen control playback.
+  - Speech synthesis is not a media element, so a silent looping <audio> runs while reading
+    to keep the browser's media session attached to this page.
+  - Keyboard shortcuts come from a remappable key map (localStorage 'keyShortcuts');
+    "?" opens the help overlay where bindings can be changed or reset. They stay out of text
+    fields and leave focused controls their own keys (arrows on a slider, Space on a button).
+*/
+
+/* ---------- Media Session ---------- */
+let mediaKeepAlive = null;
+let mediaMetadataKey = '';
+
+function mediaSessionAvailable() {
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+function keepAliveAudio() {
+  if (!mediaKeepAlive) {
+    mediaKeepAlive = new Audio(URL.createObjectURL(encodeWav(new Float32Array(8000), 8000)));
+    mediaKeepAlive.loop = true;
+  }
+  return mediaKeepAlive;
+}
+
+// Previous/next "track": chapter when the document has chapters, otherwise document
+function skipTrack(dir) {
+  if (skip(dir, 'chapter')) return;
+  openAdjacentDocument(dir);
+}
+
+// Mirror playback state and the current document/section into the media session
+function syncMediaSession() {
+  if (!mediaSessionAvailable()) return;
+  const paused = reader.state === 'paused';
+  navigator.mediaSession.playbackState = isPlaying ? 'playing' : paused ? 'paused' : 'none';
+  if (isPlaying) keepAliveAudio().play().catch(() => {});
+  else if (mediaKeepAlive) mediaKeepAlive.pause();
+  const doc = activeDocument();
+  const section = currentSectionLabel ? currentSectionLabel.textContent : '';
+  const title = section || (doc ? doc.name : 'Document Reader');
+  const artist = section && doc ? doc.name : '';
+  const key = `${title}\n${artist}`;
+  if (key === mediaMetadataKey || typeof MediaMetadata === 'undefined') return;
+  mediaMetadataKey = key;
+  navigator.mediaSession.metadata = new MediaMetadata({title, artist, album: 'Document Reader'});
+}
+
+function setupMediaSession() {
+  if (!mediaSessionAvailable()) return;
+  const handlers = {
+    play: () => { if (!isPlaying) playPauseBtn.click(); },
+    pause: () => { if (isPlaying) playPauseBtn.click(); },
+    stop: () => stopBtn.click(),
+    seekbackward: () => skip(-1, 'sentence'),
+    seekforward: () => skip(1, 'sentence'),
+    previoustrack: () => skipTrack(-1),
+    nexttrack: () => skipTrack(1)
+  };
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (_) {
+      // action not supported by this browser
+    }
+  }
+}
+
+/* ---------- Keyboard shortcuts ---------- */
+function nudgeSlider(slider, steps) {
+  const step = Number(slider.step) || 0.1;
+  const value = Math.max(Number(slider.min), Math.min(Number(slider.max), Number(slider.value) + steps * step));
+  if (value === Number(slider.value)) return;
+  slider.value = value;
+  slider.dispatchEvent(new Event('input'));
+  slider.dispatchEvent(new Event('change'));
+}
+
+const SHORTCUT_ACTIONS = {
+  playPause: {label: 'Play / pause', run: () => playPauseBtn.click()},
+  stop: {label: 'Stop', run: () => stopBtn.click()},
+  prevSentence: {label: 'Previous sentence', run: () => skip(-1, 'sentence')},
+  nextSentence: {label: 'Next sentence', run: () => skip(1, 'sentence')},
+  prevParagraph: {label: 'Previous paragraph', run: () => skip(-1, 'paragraph')},
+  nextParagraph: {label: 'Next paragraph', run: () => skip(1, 'paragraph')},
+  prevPage: {label: 'Previous page', run: () => skip(-1, 'page')},
+  nextPage: {label: 'Next page', run: () => skip(1, 'page')},
+  prevChapter: {label: 'Previous chapter', run: () => skip(-1, 'chapter')},
+  nextChapter: {label: 'Next chapter', run: () => skip(1, 'chapter')},
+  prevDocument: {label: 'Previous document', run: () => openAdjacentDocument(-1)},
+  nextDocument: {label: 'Next document', run: () => openAdjacentDocument(1)},
+  speedUp: {label: 'Faster', run: () => nudgeSlider(rateSlider, 1)},
+  speedDown: {label: 'Slower', run: () => nudgeSlider(rateSlider, -1)},
+  volumeUp: {label: 'Volume up', run: () => nudgeSlider(volumeSlider, 10)},
+  volumeDown: {label: 'Volume down', run: () => nudgeSlider(volumeSlider, -10)},
+  find: {label: 'Search in document', run: () => focusSearch()},
+  bookmark: {label: 'Bookmark reading position', run: () => addBookmark()},
+  highlight: {label: 'Highlight selection', run: () => addHighlight()},
+  help: {label: 'Show keyboard shortcuts', run: () => openShortcutHelp()}
+};
+
+// key combo -> action id; combos look like "Space", "Shift+ArrowRight", "Ctrl+k", "?"
+const DEFAULT_SHORTCUTS = {
+  'Space': 'playPause',
+  'k': 'playPause',
+  's': 'stop',
+  'ArrowLeft': 'prevSentence',
+  'ArrowRight': 'nextSentence',
+  'Shift+ArrowLeft': 'prevParagraph',
+  'Shift+ArrowRight': 'nextParagraph',
+  ',': 'prevPage',
+  '.': 'nextPage',
+  '[': 'prevChapter',
+  ']': 'nextChapter',
+  'p': 'prevDocument',
+  'n': 'nextDocument',
+  '+': 'speedUp',
+  '=': 'speedUp',
+  '-': 'speedDown',
+  'ArrowUp': 'volumeUp',
+  'ArrowDown': 'volumeDown',
+  '/': 'find',
+  'b': 'bookmark',
+  'h': 'highlight',
+  '?': 'help'
+};
+let keyShortcuts = loadShortcuts();
+let shortcutCapture = null; // action id waiting for its new key in the help overlay
+const shortcutModal = $('shortcutModal');
+const shortcutList = $('shortcutList');
+const closeShortcutsBtn = $('closeShortcutsBtn');
+const closeShortcutsFooter = $('closeShortcutsFooter');
+const resetShortcutsBtn = $('resetShortcutsBtn');
+const shortcutsBtn = $('shortcutsBtn');
+
+function loadShortcuts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('keyShortcuts') || 'null');
+    if (saved && typeof saved === 'object') return saved;
+  } catch (_) {}
+  return Object.assign({}, DEFAULT_SHORTCUTS);
+}
+
+function saveShortcuts() {
+  localStorage.setItem('keyShortcuts', JSON.stringify(keyShortcuts));
+}
+
+// Printable keys already include Shift ("?" or "N"), so Shift is only spelled out for named keys
+function keyComboFromEvent(e) {
+  const key = e.key === ' ' ? 'Space' : e.key;
+  const parts = [];
+  if (e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.metaKey) parts.push('Meta');
+  if (e.shiftKey && key.length > 1) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  return tag === 'INPUT' && !/^(checkbox|radio|range|button|submit|reset|file|color)$/i.test(el.type);
+}
+
+// Keys a focused control handles itself: arrows/Home/End/Page keys move a slider, Space and
+// Enter press a button, tick a checkbox or follow a link
+function isControlKey(el, key) {
+  if (!el || !el.tagName) return false;
+  const tag = el.tagName;
+  const type = tag === 'INPUT' ? (el.type || '').toLowerCase() : '';
+  if (type === 'range') return /^(Arrow(Left|Right|Up|Down)|Home|End|PageUp|PageDown)$/.test(key);
+  if (key !== ' ' && key !== 'Enter') return false;
+  return tag === 'BUTTON' || tag === 'SUMMARY' || (tag === 'A' && el.hasAttribute('href'))
+    || /^(checkbox|radio|button|submit|reset|file|color)$/.test(type);
+}
+
+document.addEventListener('keydown', (e) => {
+  if (shortcutCapture) {
+    captureShortcut(e);
+    return;
+  }
+  if (e.key === 'Escape') {
+    if (shortcutModal && shortcutModal.style.display !== 'none') closeShortcutHelp();
+    else if (isTypingTarget(e.target)) e.target.blur(); // leave the text box so shortcuts work
+    return;
+  }
+  if (e.defaultPrevented || isTypingTarget(e.target) || isControlKey(e.target, e.key)) return;
+  if (document.querySelector('.modal-backdrop[aria-hidden="false"]')) return; // a dialog is open
+  const id = keyShortcuts[keyComboFromEvent(e)];
+  if (!SHORTCUT_ACTIONS[id]) return;
+  e.preventDefault();
+  if (e.repeat && (id === 'playPause' || id === 'stop' || id === 'help')) return; // held key: act once
+  SHORTCUT_ACTIONS[id].run();
+});
+
+/* ---------- Help overlay ---------- */
+function shortcutKeysFor(actionId) {
+  return Object.keys(keyShortcuts).filter(k => keyShortcuts[k] === actionId);
+}
+
+function renderShortcutList() {
+  if (!shortcutList) return;
+  shortcutList.innerHTML = '';
+  for (const [id, action] of Object.entries(SHORTCUT_ACTIONS)) {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    const label = document.createElement('span');
+    label.textContent = action.label;
+    const keys = document.createElement('span');
+    keys.className = 'shortcut-keys';
+    if (shortcutCapture === id) {
+      keys.textContent = 'Press a key… (Esc to cancel)';
+    } else {
+      const bound = shortcutKeysFor(id);
+      if (!bound.length) keys.innerHTML = '<span class="small-muted">—</span>';
+      for (const combo of bound) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = combo;
+        keys.appendChild(kbd);
+      }
+    }
+    const change = document.createElement('button');
+    change.className = 'btn ghost small-btn';
+    change.textContent = 'Change';
+    change.addEventListener('click', () => {
+      shortcutCapture = id;
+      renderShortcutList();
+    });
+    row.appendChild(label);
+    row.appendChild(keys);
+    row.appendChild(change);
+    shortcutList.appendChild(row);
+  }
+}
+
+// The next key pressed replaces the action's bindings (and is taken from any other action)
+function captureShortcut(e) {
+  if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.key !== 'Escape') {
+    for (const combo of shortcutKeysFor(shortcutCapture)) delete keyShortcuts[combo];
+    keyShortcuts[keyComboFromEvent(e)] = shortcutCapture;
+    saveShortcuts();
+  }
+  shortcutCapture = null;
+  renderShortcutList();
+}
+
+function openShortcutHelp() {
+  if (!shortcutModal) return;
+  renderShortcutList();
+  shortcutModal.style.display = 'flex';
+  shortcutModal.setAttribute('aria-hidden', 'false');
+}
+
+function closeShortcutHelp() {
+  if (!shortcutModal) return;
+  shortcutCapture = null;
+  shortcutModal.style.display = 'none';
+  shortcutModal.setAttribute('aria-hidden', 'true');
+}
+
+if (shortcutsBtn) shortcutsBtn.addEventListener('click', openShortcutHelp);
+if (closeShortcutsBtn) closeShortcutsBtn.addEventListener('click', closeShortcutHelp);
+if (closeShortcutsFooter) closeShortcutsFooter.addEventListener('click', closeShortcutHelp);
+if (shortcutModal) {
+  shortcutModal.addEventListener('click', (e) => {
+    if (e.target === shortcutModal) closeShortcutHelp();
+  });
+}
+if (resetShortcutsBtn) {
+  resetShortcutsBtn.addEventListener('click', () => {
+    keyShortcuts = Object.assign({}, DEFAULT_SHORTCUTS);
+    saveShortcuts();
+    renderShortcutList();
+  });
+}
+
+setupMediaSession();
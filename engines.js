@@ -0,0 +1,374 @@
+/*
+  Speech engines
+  - Every engine exposes the same surface used by playback:
+      speak(text, {voice, rate, volume, onboundary, onend, onerror}), pause(), resume(), cancel(),
+      paused / speaking, getVoices(), onvoiceschanged.
+    onboundary receives {charIndex, charLength} relative to the spoken text.
+    setVolume() changes the volume of the running utterance only where liveVolume is true;
+    otherwise volume applies from the next speak().
+  - webSpeechEngine wraps the browser's SpeechSynthesis.
+  - espeakEngine runs eSpeak NG compiled to WASM (vendor/espeak-ng/) entirely in the browser
+    and can also render audio for export (WAV, or MP3 through lamejs in vendor/lamejs/).
+*/
+
+/* ---------- Web Speech API ---------- */
+const webSpeechEngine = {
+  id: 'webspeech',
+  label: 'Browser voices (Web Speech API)',
+  canExport: false,
+  liveVolume: false, // an utterance's volume is fixed once it starts
+  utterance: null,
+  onvoiceschanged: null,
+  isAvailable() {
+    return typeof speechSynthesis !== 'undefined';
+  },
+  init() {
+    if (!this.isAvailable()) return Promise.resolve();
+    speechSynthesis.onvoiceschanged = () => {
+      if (typeof this.onvoiceschanged === 'function') this.onvoiceschanged();
+    };
+    return Promise.resolve();
+  },
+  getVoices() {
+    return this.isAvailable() ? speechSynthesis.getVoices() : [];
+  },
+  get paused() {
+    return this.isAvailable() && speechSynthesis.paused;
+  },
+  get speaking() {
+    return this.isAvailable() && speechSynthesis.speaking;
+  },
+  speak(text, opts = {}) {
+    this.cancel();
+    const u = new SpeechSynthesisUtterance(text);
+    u.rate = opts.rate || 1;
+    u.volume = (typeof opts.volume === 'number') ? opts.volume : 1;
+    if (opts.voice) u.voice = opts.voice;
+    u.onboundary = (e) => {
+      // Some browsers do not set name='word'; report any boundary with indices
+      if (e && typeof e.charIndex === 'number' && typeof opts.onboundary === 'function') {
+        opts.onboundary({charIndex: e.charIndex || 0, charLength: e.charLength || 0});
+      }
+    };
+    u.onend = () => {
+      this.utterance = null;
+      if (typeof opts.onend === 'function') opts.onend();
+    };
+    u.onerror = (e) => {
+      if (typeof opts.onerror === 'function') opts.onerror(e);
+    };
+    this.utterance = u;
+    speechSynthesis.speak(u);
+  },
+  pause() {
+    if (this.isAvailable() && speechSynthesis.speaking) speechSynthesis.pause();
+  },
+  setVolume() {},
+  resume() {
+    if (this.isAvailable()) speechSynthesis.resume();
+  },
+  cancel() {
+    // Detach handlers first so a cancelled utterance never advances playback
+    if (this.utterance) {
+      this.utterance.onend = null;
+      this.utterance.onerror = null;
+      this.utterance.onboundary = null;
+      this.utterance = null;
+    }
+    if (this.isAvailable()) speechSynthesis.cancel();
+  }
+};
+
+/* ---------- WAV helpers ---------- */
+function parseWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let sampleRate = 22050;
+  let pos = 12;
+  while (pos + 8 <= view.byteLength) {
+    const id = String.fromCharCode(view.getUint8(pos), view.getUint8(pos+1), view.getUint8(pos+2), view.getUint8(pos+3));
+    let size = view.getUint32(pos + 4, true);
+    if (id === 'fmt ') sampleRate = view.getUint32(pos + 12, true);
+    if (id === 'data') {
+      // eSpeak streams its WAV output, so the data size may be left as a placeholder
+      size = Math.min(size, view.byteLength - pos - 8);
+      const samples = new Int16Array(Math.floor(size / 2));
+      for (let i = 0; i < samples.length; i++) samples[i] = view.getInt16(pos + 8 + i*2, true);
+      return {sampleRate, samples};
+    }
+    pos += 8 + size + (size & 1);
+  }
+  return {sampleRate, samples: new Int16Array(0)};
+}
+
+function encodeWav(samples, sampleRate) {
+  const buf = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buf);
+  const writeStr = (o, s) => { for (let i = 0; i < s.length; i++) view.setUint8(o + i, s.charCodeAt(i)); };
+  writeStr(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeStr(8, 'WAVE');
+  writeStr(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeStr(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) view.setInt16(44 + i*2, samples[i], true);
+  return new Blob([buf], {type: 'audio/wav'});
+}
+
+function loadScriptOnce(src) {
+  return new Promise((res, rej) => {
+    if (document.querySelector(`script[data-src="${src}"]`)) return res();
+    const s = document.createElement('script');
+    s.src = src;
+    s.dataset.src = src;
+    s.onload = () => res();
+    s.onerror = () => rej(new Error(`Could not load ${src}`));
+    document.head.appendChild(s);
+  });
+}
+
+async function encodeMp3(samples, sampleRate, kbps = 128) {
+  if (typeof lamejs === 'undefined') await loadScriptOnce('./vendor/lamejs/lame.min.js');
+  const encoder = new lamejs.Mp3Encoder(1, sampleRate, kbps);
+  const parts = [];
+  const block = 1152;
+  for (let i = 0; i < samples.length; i += block) {
+    const out = encoder.encodeBuffer(samples.subarray(i, i + block));
+    if (out.length) parts.push(new Uint8Array(out));
+  }
+  const tail = encoder.flush();
+  if (tail.length) parts.push(new Uint8Array(tail));
+  return new Blob(parts, {type: 'audio/mpeg'});
+}
+
+/* ---------- eSpeak NG (WASM) ---------- */
+const ESPEAK_BASE = './vendor/espeak-ng/';
+const ESPEAK_DEFAULT_WPM = 175;
+
+const espeakEngine = {
+  id: 'espeak',
+  label: 'eSpeak NG (offline, supports export)',
+  canExport: true,
+  liveVolume: true,
+  onvoiceschanged: null,
+  module: null, // the one Emscripten instance, reused for every run
+  wasm: null, // its raw exports (stack helpers for passing arguments)
+  startMemory: null, // its memory as started up; restored before each run
+  stdout: [],
+  loading: null,
+  voices: [],
+  audioCtx: null,
+  gain: null,
+  job: null,
+  isAvailable() {
+    return typeof WebAssembly !== 'undefined';
+  },
+  // Load and start eSpeak NG once. Its build only has the command line, so every run calls
+  // main() again on the same instance, from a copy of the memory it started with
+  init() {
+    if (this.loading) return this.loading;
+    this.loading = (async () => {
+      const mod = await import(`${ESPEAK_BASE}espeak-ng.js`);
+      const resp = await fetch(`${ESPEAK_BASE}espeak-ng.wasm`);
+      if (!resp.ok) throw new Error('eSpeak NG WASM not found in vendor/espeak-ng/');
+      const wasmModule = await WebAssembly.compile(await resp.arrayBuffer());
+      this.module = await mod.default({
+        noInitialRun: true,
+        print: line => this.stdout.push(line),
+        printErr: () => {},
+        instantiateWasm: (imports, done) => {
+          WebAssembly.instantiate(wasmModule, imports).then(inst => {
+            this.wasm = inst.exports;
+            done(inst, wasmModule);
+          });
+          return {};
+        }
+      });
+      this.startMemory = this.module.HEAPU8.slice();
+      this.voices = this.listVoices();
+      if (typeof this.onvoiceschanged === 'function') this.onvoiceschanged();
+    })();
+    this.loading.catch(() => { this.loading = null; });
+    return this.loading;
+  },
+  // Run the eSpeak NG command line once (after init); returns its output lines
+  run(args) {
+    const {module, wasm} = this;
+    module.HEAPU8.set(this.startMemory); // main() leaves globals (option parsing, voice state) behind
+    this.stdout = [];
+    const stack = wasm.stackSave();
+    try {
+      const argv = ['espeak-ng', ...args].map(arg => {
+        const bytes = new TextEncoder().encode(`${arg}\0`);
+        const ptr = wasm.stackAlloc(bytes.length);
+        module.HEAPU8.set(bytes, ptr);
+        return ptr;
+      });
+      const ptrs = wasm.stackAlloc(4 * (argv.length + 1));
+      module.HEAPU32.set([...argv, 0], ptrs >> 2);
+      module._main(argv.length, ptrs);
+    } catch (e) {
+      if (!e || e.name !== 'ExitStatus') throw e; // exit() unwinds this way
+    } finally {
+      wasm.stackRestore(stack);
+    }
+    return this.stdout;
+  },
+  listVoices() {
+    const stdout = this.run(['--voices']);
+    const list = [];
+    for (const line of stdout.slice(1)) {
+      const cols = line.trim().split(/\s+/);
+      if (cols.length < 4) continue;
+      const id = cols[1];
+      list.push({
+        name: `eSpeak ${cols[3].replace(/_/g, ' ')}`,
+        lang: id.replace(/-x-.*$/, '').replace(/^([a-z]+)-([a-z]{2})\b/i, (m, a, b) => `${a}-${b.toUpperCase()}`),
+        voiceURI: id,
+        default: id === 'en-us',
+        localService: true
+      });
+    }
+    return list;
+  },
+  getVoices() {
+    if (!this.module) this.init().catch(err => console.warn('eSpeak NG unavailable', err));
+    return this.voices;
+  },
+  // Synthesize text to PCM samples with eSpeak NG
+  async synthesize(text, opts = {}) {
+    const voiceId = (opts.voice && opts.voice.voiceURI) || 'en-us';
+    const wpm = Math.round(Math.max(80, Math.min(500, ESPEAK_DEFAULT_WPM * (opts.rate || 1))));
+    await this.init();
+    const {FS} = this.module;
+    // a failed run must not leave the previous sentence's audio behind to be played again
+    if (FS.analyzePath('/out.wav').exists) FS.unlink('/out.wav');
+    // '--': text starting with '-' ("- Buy milk", "-5 degrees") is not an option
+    this.run(['-v', voiceId, '-s', String(wpm), '-w', '/out.wav', '--', text]);
+    if (!FS.analyzePath('/out.wav').exists) throw new Error(`eSpeak NG could not speak “${text.slice(0, 40)}”`);
+    return parseWav(FS.readFile('/out.wav'));
+  },
+  get paused() {
+    return !!(this.job && this.audioCtx && this.audioCtx.state === 'suspended');
+  },
+  get speaking() {
+    return !!this.job;
+  },
+  ensureAudio() {
+    if (!this.audioCtx) {
+      this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      this.gain = this.audioCtx.createGain();
+      this.gain.connect(this.audioCtx.destination);
+    }
+    return this.audioCtx;
+  },
+  // Speaks sentence by sentence, synthesizing the next sentence while the current one plays.
+  // Word boundaries are estimated by spreading each sentence's words across its audio duration.
+  speak(text, opts = {}) {
+    this.cancel();
+    const ctx = this.ensureAudio();
+    if (ctx.state === 'suspended') ctx.resume();
+    this.gain.gain.value = (typeof opts.volume === 'number') ? opts.volume : 1;
+    const job = {cancelled: false, source: null, timer: null};
+    this.job = job;
+    const sentences = segmentSentences(text).filter(([s, e]) => text.slice(s, e).trim());
+    const synth = (i) => i < sentences.length
+      ? this.synthesize(text.slice(sentences[i][0], sentences[i][1]), opts)
+      : Promise.resolve(null);
+    const playSentence = (pcm, range) => new Promise((res) => {
+      const audio = ctx.createBuffer(1, Math.max(1, pcm.samples.length), pcm.sampleRate);
+      const ch = audio.getChannelData(0);
+      for (let i = 0; i < pcm.samples.length; i++) ch[i] = pcm.samples[i] / 32768;
+      const src = ctx.createBufferSource();
+      src.buffer = audio;
+      src.connect(this.gain);
+      const words = [];
+      const re = /\S+/g;
+      const sentence = text.slice(range[0], range[1]);
+      let m;
+      while ((m = re.exec(sentence))) words.push({charIndex: range[0] + m.index, charLength: m[0].length, at: m.index / Math.max(1, sentence.length)});
+      const startAt = ctx.currentTime;
+      let next = 0;
+      job.timer = setInterval(() => {
+        const progress = (ctx.currentTime - startAt) / Math.max(0.01, audio.duration);
+        while (next < words.length && words[next].at <= progress) {
+          const w = words[next++];
+          if (typeof opts.onboundary === 'function') opts.onboundary({charIndex: w.charIndex, charLength: w.charLength});
+        }
+      }, 50);
+      src.onended = () => { clearInterval(job.timer); res(); };
+      job.source = src;
+      src.start();
+    });
+    (async () => {
+      try {
+        let pending = synth(0);
+        for (let i = 0; i < sentences.length; i++) {
+          const pcm = await pending;
+          if (job.cancelled) return;
+          pending = synth(i + 1);
+          await playSentence(pcm, sentences[i]);
+          if (job.cancelled) return;
+        }
+        if (this.job === job) this.job = null;
+        if (typeof opts.onend === 'function') opts.onend();
+      } catch (err) {
+        if (this.job === job) this.job = null;
+        if (!job.cancelled && typeof opts.onerror === 'function') opts.onerror(err);
+      }
+    })();
+  },
+  pause() {
+    if (this.audioCtx && this.job) this.audioCtx.suspend();
+  },
+  setVolume(volume) {
+    if (this.gain) this.gain.gain.value = volume;
+  },
+  resume() {
+    if (this.audioCtx) this.audioCtx.resume();
+  },
+  cancel() {
+    const job = this.job;
+    this.job = null;
+    if (!job) return;
+    job.cancelled = true;
+    clearInterval(job.timer);
+    if (job.source) {
+      job.source.onended = null;
+      try { job.source.stop(); } catch (_) {}
+    }
+    if (this.audioCtx && this.audioCtx.state === 'suspended') this.audioCtx.resume();
+  },
+  /**
+   * Render text to a single PCM track for download.
+   * opts: {voice, rate, onprogress(done, total), signal}
+   */
+  async renderAudio(text, opts = {}) {
+    const {chunks} = buildChunkTable(text, 1200);
+    const parts = [];
+    let sampleRate = 22050;
+    let total = 0;
+    for (let i = 0; i < chunks.length; i++) {
+      if (opts.signal && opts.signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+      if (chunks[i].trim()) {
+        const pcm = await this.synthesize(chunks[i], opts);
+        sampleRate = pcm.sampleRate;
+        parts.push(pcm.samples);
+        total += pcm.samples.length;
+      }
+      if (typeof opts.onprogress === 'function') opts.onprogress(i + 1, chunks.length);
+    }
+    const samples = new Int16Array(total);
+    let off = 0;
+    for (const p of parts) { samples.set(p, off); off += p.length; }
+    return {sampleRate, samples};
+  }
+};
+
+const speechEngines = [webSpeechEngine, espeakEngine];
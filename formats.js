@@ -0,0 +1,657 @@
+/*
+  Document formats
+  - Client-side adapters for EPUB (zip + XHTML spine), DOCX (zip + word/document.xml), HTML,
+    Markdown, RTF and plain text.
+  - Every adapter produces the same model: {text, structure, title}. structure is a list of
+    {type: 'chapter'|'heading'|'paragraph', level, title, start, end} with char offsets into text,
+    so playback, highlighting and jumping work on the plain text exactly as for .txt files.
+  - A small stored-zip writer packages EPUB exports (transcript.js).
+  - Archives that cannot be read throw a CorruptFileError (reported by status.js).
+  - Text files are decoded in their detected encoding (BOM, UTF-16 NUL pattern, UTF-8 validity,
+    declared charset, Japanese kana) unless one is picked by hand; see readTextFile.
+  - Pasted HTML loses its navigation boilerplate (menus, headers, footers, link lists) before
+    it is converted like an HTML file (cleanPastedHTML).
+*/
+
+/* ---------- Document model ---------- */
+function createDocumentBuilder() {
+  let text = '';
+  const structure = [];
+  let chapter = null;
+  let pendingChapter = null;
+  const add = (type, str, level) => {
+    str = String(str || '').replace(/[ \t ]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    if (!str) return null;
+    if (text) text += '\n\n';
+    const start = text.length;
+    text += str;
+    // a chapter starts where its first block starts (empty chapters are dropped)
+    if (pendingChapter) {
+      if (chapter) chapter.end = start;
+      chapter = pendingChapter;
+      chapter.start = start;
+      structure.push(chapter);
+      pendingChapter = null;
+    }
+    const entry = {type, level, start, end: text.length};
+    if (type === 'heading') entry.title = str.slice(0, 200);
+    structure.push(entry);
+    return entry;
+  };
+  return {
+    chapter(title) {
+      pendingChapter = {type: 'chapter', level: 0, title: String(title || '').trim() || `Chapter ${structure.filter(s => s.type === 'chapter').length + 1}`, start: 0, end: 0};
+    },
+    heading(str, level) { return add('heading', str, Math.max(1, Math.min(6, level || 1))); },
+    paragraph(str) { return add('paragraph', str, 0); },
+    result(title) {
+      if (chapter) chapter.end = text.length;
+      return {text, structure, title: title || null};
+    }
+  };
+}
+
+// Plain text: paragraphs are separated by blank lines. The text is kept exactly as read
+// (indentation, line breaks), so only the paragraph offsets are added
+function textToDocument(str) {
+  const text = String(str || '');
+  const structure = [];
+  const blankLines = /\n[ \t]*\n\s*/g;
+  let from = 0;
+  for (;;) {
+    const sep = blankLines.exec(text);
+    const para = text.slice(from, sep ? sep.index : text.length);
+    const start = from + para.length - para.trimStart().length;
+    const end = start + para.trim().length;
+    if (end > start) structure.push({type: 'paragraph', level: 0, start, end});
+    if (!sep) break;
+    from = sep.index + sep[0].length;
+  }
+  return {text, structure, title: null};
+}
+
+/* ---------- Zip reading (EPUB, DOCX) ---------- */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unzip files (no DecompressionStream)');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  try {
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (_) {
+    throw namedError('CorruptFileError', 'damaged compressed data');
+  }
+}
+
+// Returns Map(name -> () => Promise<Uint8Array>) from the central directory
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw namedError('CorruptFileError', 'not a zip archive');
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const utf8 = new TextDecoder('utf-8');
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw namedError('CorruptFileError', 'damaged zip directory');
+    const method = view.getUint16(pos + 10, true);
+    const compSize = view.getUint32(pos + 20, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const extraLen = view.getUint16(pos + 30, true);
+    const commentLen = view.getUint16(pos + 32, true);
+    const local = view.getUint32(pos + 42, true);
+    const name = utf8.decode(bytes.subarray(pos + 46, pos + 46 + nameLen));
+    entries.set(name, async () => {
+      const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compSize);
+      if (method === 0) return data;
+      if (method === 8) return inflateRaw(data);
+      throw new Error(`Unsupported zip compression (${method})`);
+    });
+    pos += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+async function zipText(entries, name) {
+  const read = entries.get(name) || entries.get(decodeURIComponent(name));
+  if (!read) throw namedError('CorruptFileError', `${name} is missing from the archive`);
+  return new TextDecoder('utf-8').decode(await read());
+}
+
+function parseXML(str, type = 'application/xml') {
+  const dom = new DOMParser().parseFromString(str, type);
+  if (dom.getElementsByTagName('parsererror').length && type !== 'text/html') {
+    return new DOMParser().parseFromString(str, 'text/html');
+  }
+  return dom;
+}
+
+// Resolve a relative path inside an archive ("OEBPS/text/../img.png" style)
+function resolveZipPath(base, rel) {
+  const parts = base.split('/').slice(0, -1);
+  for (const seg of rel.split('#')[0].split('/')) {
+    if (seg === '..') parts.pop();
+    else if (seg && seg !== '.') parts.push(seg);
+  }
+  return parts.join('/');
+}
+
+/* ---------- Zip writing (EPUB export, transcript.js) ---------- */
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Stored (uncompressed) zip from [{name, data: string|Uint8Array}], in the given order
+function writeZip(files) {
+  const utf8 = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = utf8.encode(f.name);
+    const data = typeof f.data === 'string' ? utf8.encode(f.data) : f.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local.buffer, name, data);
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(12, dosTime, true);
+    dir.setUint16(14, dosDate, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir.buffer, name);
+    offset += 30 + name.length + data.length;
+  }
+  const dirSize = central.reduce((n, b) => n + b.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end.buffer], {type: 'application/zip'});
+}
+
+/* ---------- HTML ---------- */
+const HTML_SKIP = new Set(['script','style','noscript','template','svg','math','head','iframe','object','button','select','input','textarea']);
+const HTML_BLOCKS = new Set(['p','li','blockquote','pre','dd','dt','figcaption','caption','td','th','address','summary']);
+const HTML_CONTAINERS = new Set(['html','body','div','section','article','main','aside','header','footer','nav','ul','ol','dl','table','thead','tbody','tfoot','tr','figure','details','hgroup','center','form','fieldset']);
+
+// Walk an HTML tree, emitting headings and paragraphs into builder b
+function htmlToBlocks(root, b, skip) {
+  let inline = '';
+  const flush = () => {
+    if (inline.trim()) b.paragraph(inline);
+    inline = '';
+  };
+  const walk = (node) => {
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) { inline += child.data.replace(/\s+/g, ' '); continue; }
+      if (child.nodeType !== 1) continue;
+      const tag = child.localName ? child.localName.toLowerCase() : '';
+      if (HTML_SKIP.has(tag) || child.hidden || (skip && skip(child))) continue;
+      if (tag === 'br') { inline += '\n'; continue; }
+      const heading = /^h([1-6])$/.exec(tag);
+      if (heading) {
+        flush();
+        b.heading(child.textContent.replace(/\s+/g, ' '), Number(heading[1]));
+      } else if (HTML_BLOCKS.has(tag) && !child.querySelector('p,li,h1,h2,h3,h4,h5,h6,blockquote,pre,table,div')) {
+        flush();
+        inline = tag === 'pre' ? child.textContent : '';
+        if (tag !== 'pre') walk(child);
+        flush();
+      } else if (HTML_CONTAINERS.has(tag) || HTML_BLOCKS.has(tag)) {
+        flush();
+        walk(child);
+        flush();
+      } else {
+        walk(child); // inline element (a, em, span…)
+      }
+    }
+  };
+  walk(root);
+  flush();
+}
+
+function htmlToDocument(html) {
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  const b = createDocumentBuilder();
+  htmlToBlocks(dom.body || dom.documentElement, b);
+  const title = dom.querySelector('title');
+  return b.result(title ? title.textContent.trim() : null);
+}
+
+// Pasted web content: navigation and page furniture around the text worth reading
+const HTML_BOILERPLATE_TAGS = new Set(['nav', 'aside', 'menu', 'form', 'dialog']);
+const HTML_BOILERPLATE_ROLES = new Set(['navigation', 'complementary', 'search', 'menu', 'menubar', 'banner', 'contentinfo', 'dialog']);
+const HTML_BOILERPLATE_NAMES = /(^|[-_\s])(nav|navbar|navigation|menu|breadcrumbs?|sidebar|site-header|site-footer|masthead|footer|cookies?|consent|share|sharing|social|related|comments?|advert|ads|promo|newsletter|subscribe|skip-link|pagination)([-_\s]|$)/i;
+
+function isHTMLBoilerplate(el) {
+  const tag = el.localName;
+  if (HTML_BOILERPLATE_TAGS.has(tag) || el.getAttribute('aria-hidden') === 'true') return true;
+  // <header>s may hold the page or section title: only those without a heading go
+  if ((tag === 'header' || tag === 'footer') && !el.querySelector('h1, h2, h3')) return true;
+  const role = el.getAttribute('role');
+  const named = (role && HTML_BOILERPLATE_ROLES.has(role)) || HTML_BOILERPLATE_NAMES.test(`${el.id} ${el.getAttribute('class') || ''}`);
+  if (named && !el.querySelector('h1')) return true;
+  // link lists: menus, tag clouds, "share" rows
+  if (!/^(ul|ol|div|section|p|table)$/.test(tag)) return false;
+  const links = el.querySelectorAll('a');
+  if (links.length < 3) return false;
+  const text = el.textContent.replace(/\s+/g, '').length;
+  const linkText = Array.from(links).reduce((n, a) => n + a.textContent.replace(/\s+/g, '').length, 0);
+  return text > 0 && linkText / text > 0.7;
+}
+
+/**
+ * Clean HTML from the clipboard: boilerplate removed, and only the <main>/<article> when the
+ * copy has exactly one. Returns {html, title, structured}; structured is false for content
+ * without headings or several paragraphs (pasted as plain text instead).
+ */
+function cleanPastedHTML(html) {
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  const mains = dom.querySelectorAll('main, article');
+  const root = mains.length === 1 ? mains[0] : dom.body;
+  for (const el of Array.from(root.querySelectorAll('*'))) {
+    if (el.isConnected && isHTMLBoilerplate(el)) el.remove();
+  }
+  const doc = createDocumentBuilder();
+  htmlToBlocks(root, doc);
+  const {structure} = doc.result();
+  const structured = structure.some(s => s.type === 'heading') || structure.filter(s => s.type === 'paragraph').length > 1;
+  const heading = root.querySelector('h1, h2');
+  const titleEl = dom.querySelector('title');
+  const title = (heading && heading.textContent.replace(/\s+/g, ' ').trim()) || (titleEl && titleEl.textContent.trim()) || '';
+  return {html: root.innerHTML, title, structured};
+}
+
+/* ---------- Markdown ---------- */
+function stripInlineMarkdown(s) {
+  return s
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')          // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')           // links -> link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')          // reference links
+    .replace(/<\/?[a-z][^>]*>/gi, '')                  // inline html tags
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1');
+}
+
+function markdownToDocument(md) {
+  const b = createDocumentBuilder();
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  let para = [];
+  let fence = null;
+  const flush = () => {
+    if (para.length) b.paragraph(stripInlineMarkdown(para.join(' ')));
+    para = [];
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1] === fence.mark) { b.paragraph(fence.lines.join('\n')); fence = null; }
+      else fence.lines.push(line);
+      continue;
+    }
+    if (fenceMatch) { flush(); fence = {mark: fenceMatch[1], lines: []}; continue; }
+    const atx = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (atx) { flush(); b.heading(stripInlineMarkdown(atx[2]), atx[1].length); continue; }
+    const next = lines[i + 1] || '';
+    if (line.trim() && /^\s{0,3}(=+|-+)\s*$/.test(next) && !para.length) {
+      b.heading(stripInlineMarkdown(line), next.trim()[0] === '=' ? 1 : 2);
+      i++;
+      continue;
+    }
+    if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) { flush(); continue; }
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue; // table rule
+    const item = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) { flush(); para.push(item[1]); continue; }
+    para.push(line.replace(/^\s*>\s?/, '').replace(/^\s*\|(.*)\|\s*$/, (m, cells) => cells.split('|').map(c => c.trim()).join(', ')).trim());
+  }
+  if (fence) b.paragraph(fence.lines.join('\n'));
+  flush();
+  return b.result();
+}
+
+/* ---------- RTF ---------- */
+const RTF_SKIP_DESTINATIONS = new Set(['fonttbl','colortbl','stylesheet','info','pict','header','footer','headerl','headerr','footerl','footerr','object','themedata','colorschememapping','latentstyles','datastore','xmlnstbl','listtable','listoverridetable','rsidtbl','generator','fldinst','bkmkstart','bkmkend']);
+
+function rtfToDocument(rtf) {
+  const b = createDocumentBuilder();
+  const cp1252 = new TextDecoder('windows-1252');
+  let para = '';
+  let outline = -1; // \outlinelevelN of the current paragraph
+  const stack = [];
+  let state = {skip: false, uc: 1};
+  let skipChars = 0;
+  const endParagraph = () => {
+    if (outline >= 0) b.heading(para, outline + 1);
+    else b.paragraph(para);
+    para = '';
+    outline = -1;
+  };
+  const emit = (s) => {
+    if (skipChars > 0) { skipChars--; return; }
+    if (!state.skip) para += s;
+  };
+  const re = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+  let m;
+  while ((m = re.exec(rtf))) {
+    if (m[5] === '{') { stack.push(state); state = Object.assign({}, state); continue; }
+    if (m[5] === '}') { state = stack.pop() || {skip: false, uc: 1}; continue; }
+    if (m[6]) {
+      for (const ch of m[6]) emit(ch);
+      continue;
+    }
+    if (m[3]) { emit(cp1252.decode(new Uint8Array([parseInt(m[3], 16)]))); continue; }
+    if (m[4]) {
+      if (m[4] === '*') state.skip = true;
+      else if (m[4] === '~') emit(' ');
+      else if (m[4] === '-' || m[4] === '_') emit(m[4] === '_' ? '-' : '');
+      else if ('\\{}'.includes(m[4])) emit(m[4]);
+      continue;
+    }
+    const word = m[1] && m[1].toLowerCase();
+    if (!word) continue;
+    const arg = m[2] !== undefined ? Number(m[2]) : null;
+    if (RTF_SKIP_DESTINATIONS.has(word)) { state.skip = true; continue; }
+    switch (word) {
+      case 'par': case 'sect': case 'page': if (!state.skip) endParagraph(); break;
+      case 'line': emit('\n'); break;
+      case 'tab': emit('\t'); break;
+      case 'cell': emit(' '); break;
+      case 'row': if (!state.skip) endParagraph(); break;
+      case 'emdash': emit('—'); break;
+      case 'endash': emit('–'); break;
+      case 'lquote': emit('‘'); break;
+      case 'rquote': emit('’'); break;
+      case 'ldblquote': emit('“'); break;
+      case 'rdblquote': emit('”'); break;
+      case 'bullet': emit('•'); break;
+      case 'uc': state.uc = arg || 0; break;
+      case 'u': emit(String.fromCharCode(arg < 0 ? arg + 65536 : arg)); skipChars = state.uc; break;
+      case 'pard': outline = -1; break;
+      case 'outlinelevel': outline = arg; break;
+      default: break;
+    }
+  }
+  if (para.trim()) endParagraph();
+  return b.result();
+}
+
+/* ---------- DOCX ---------- */
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+async function docxToDocument(buffer) {
+  const entries = readZip(buffer);
+  const xml = parseXML(await zipText(entries, 'word/document.xml'));
+  // heading styles may be renamed; map style ids to outline levels from styles.xml
+  const outlineByStyle = new Map();
+  if (entries.has('word/styles.xml')) {
+    const styles = parseXML(await zipText(entries, 'word/styles.xml'));
+    for (const st of Array.from(styles.getElementsByTagNameNS(W_NS, 'style'))) {
+      const id = st.getAttributeNS(W_NS, 'styleId') || st.getAttribute('w:styleId');
+      const lvl = st.getElementsByTagNameNS(W_NS, 'outlineLvl')[0];
+      const name = st.getElementsByTagNameNS(W_NS, 'name')[0];
+      const nameVal = name ? (name.getAttributeNS(W_NS, 'val') || name.getAttribute('w:val') || '') : '';
+      if (lvl) outlineByStyle.set(id, Number(lvl.getAttributeNS(W_NS, 'val') || lvl.getAttribute('w:val')) + 1);
+      else if (/^heading \d$/i.test(nameVal)) outlineByStyle.set(id, Number(nameVal.slice(-1)));
+      else if (/^title$/i.test(nameVal)) outlineByStyle.set(id, 1);
+    }
+  }
+  const b = createDocumentBuilder();
+  const body = xml.getElementsByTagNameNS(W_NS, 'body')[0];
+  if (!body) return b.result();
+  const attr = (el, name) => el.getAttributeNS(W_NS, name) || el.getAttribute(`w:${name}`);
+  const paragraphText = (p) => {
+    let s = '';
+    const walk = (node) => {
+      for (const c of Array.from(node.childNodes)) {
+        if (c.nodeType !== 1) continue;
+        if (c.namespaceURI === W_NS && c.localName === 't') s += c.textContent;
+        else if (c.namespaceURI === W_NS && c.localName === 'tab') s += '\t';
+        else if (c.namespaceURI === W_NS && (c.localName === 'br' || c.localName === 'cr')) s += '\n';
+        else if (c.namespaceURI === W_NS && (c.localName === 'delText' || c.localName === 'instrText')) continue;
+        else walk(c);
+      }
+    };
+    walk(p);
+    return s;
+  };
+  for (const p of Array.from(body.getElementsByTagNameNS(W_NS, 'p'))) {
+    const text = paragraphText(p);
+    const style = p.getElementsByTagNameNS(W_NS, 'pStyle')[0];
+    const styleId = style ? attr(style, 'val') : '';
+    const lvlEl = p.getElementsByTagNameNS(W_NS, 'outlineLvl')[0];
+    let level = lvlEl ? Number(attr(lvlEl, 'val')) + 1 : outlineByStyle.get(styleId);
+    if (!level && /^heading\s?(\d)$/i.test(styleId || '')) level = Number(styleId.slice(-1));
+    if (!level && /^title$/i.test(styleId || '')) level = 1;
+    if (level && level < 10) b.heading(text, level);
+    else b.paragraph(text);
+  }
+  let title = null;
+  if (entries.has('docProps/core.xml')) {
+    const core = parseXML(await zipText(entries, 'docProps/core.xml'));
+    const t = core.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0];
+    title = t ? t.textContent.trim() || null : null;
+  }
+  return b.result(title);
+}
+
+/* ---------- EPUB ---------- */
+async function epubToDocument(buffer) {
+  const entries = readZip(buffer);
+  const container = parseXML(await zipText(entries, 'META-INF/container.xml'));
+  const rootfile = container.getElementsByTagName('rootfile')[0];
+  if (!rootfile) throw namedError('CorruptFileError', 'no rootfile in META-INF/container.xml');
+  const opfPath = rootfile.getAttribute('full-path');
+  const opf = parseXML(await zipText(entries, opfPath));
+  const manifest = new Map();
+  for (const item of Array.from(opf.getElementsByTagName('item'))) {
+    manifest.set(item.getAttribute('id'), {
+      href: resolveZipPath(opfPath, item.getAttribute('href')),
+      type: item.getAttribute('media-type') || '',
+      props: item.getAttribute('properties') || ''
+    });
+  }
+  // chapter titles from the EPUB3 nav document or the EPUB2 NCX
+  const titles = new Map();
+  const navItem = [...manifest.values()].find(m => /\bnav\b/.test(m.props));
+  const spineEl = opf.getElementsByTagName('spine')[0];
+  const ncxItem = spineEl && manifest.get(spineEl.getAttribute('toc'));
+  try {
+    if (navItem) {
+      const nav = parseXML(await zipText(entries, navItem.href), 'application/xhtml+xml');
+      for (const a of Array.from(nav.getElementsByTagName('a'))) {
+        const href = resolveZipPath(navItem.href, a.getAttribute('href') || '');
+        if (!titles.has(href)) titles.set(href, a.textContent.replace(/\s+/g, ' ').trim());
+      }
+    } else if (ncxItem) {
+      const ncx = parseXML(await zipText(entries, ncxItem.href));
+      for (const np of Array.from(ncx.getElementsByTagName('navPoint'))) {
+        const label = np.getElementsByTagName('text')[0];
+        const content = np.getElementsByTagName('content')[0];
+        if (!label || !content) continue;
+        const href = resolveZipPath(ncxItem.href, content.getAttribute('src') || '');
+        if (!titles.has(href)) titles.set(href, label.textContent.trim());
+      }
+    }
+  } catch (e) {
+    console.warn('EPUB table of contents unreadable', e);
+  }
+  const b = createDocumentBuilder();
+  for (const ref of Array.from(opf.getElementsByTagName('itemref'))) {
+    if (ref.getAttribute('linear') === 'no') continue;
+    const item = manifest.get(ref.getAttribute('idref'));
+    if (!item || !/html|xml/.test(item.type) || item === navItem) continue;
+    const page = parseXML(await zipText(entries, item.href), 'application/xhtml+xml');
+    const body = page.getElementsByTagName('body')[0] || page.documentElement;
+    const firstHeading = body.querySelector && body.querySelector('h1,h2,h3');
+    b.chapter(titles.get(item.href) || (firstHeading ? firstHeading.textContent.replace(/\s+/g, ' ') : ''));
+    htmlToBlocks(body, b, el => el.getAttribute && /\bpagebreak\b/.test(el.getAttribute('epub:type') || ''));
+  }
+  const dcTitle = opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0];
+  return b.result(dcTitle ? dcTitle.textContent.trim() : null);
+}
+
+/* ---------- Dispatch ---------- */
+const DOCUMENT_FORMATS = [
+  {id: 'epub', exts: ['epub'], types: ['application/epub+zip']},
+  {id: 'docx', exts: ['docx'], types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']},
+  {id: 'html', exts: ['html', 'htm', 'xhtml'], types: ['text/html', 'application/xhtml+xml']},
+  {id: 'markdown', exts: ['md', 'markdown', 'mdown', 'mkd'], types: ['text/markdown', 'text/x-markdown']},
+  {id: 'rtf', exts: ['rtf'], types: ['application/rtf', 'text/rtf']}
+];
+
+/* ---------- Text encodings ---------- */
+// Offered for the manual override (import.js); detection itself picks among UTF-8, UTF-16,
+// Shift-JIS, EUC-JP, a declared charset and Windows-1252
+const TEXT_ENCODINGS = [
+  {id: 'utf-8', label: 'UTF-8'},
+  {id: 'utf-16le', label: 'UTF-16 LE'},
+  {id: 'utf-16be', label: 'UTF-16 BE'},
+  {id: 'windows-1252', label: 'Western (Windows-1252, Latin-1)'},
+  {id: 'windows-1250', label: 'Central European (Windows-1250)'},
+  {id: 'windows-1251', label: 'Cyrillic (Windows-1251)'},
+  {id: 'koi8-r', label: 'Cyrillic (KOI8-R)'},
+  {id: 'iso-8859-7', label: 'Greek (ISO-8859-7)'},
+  {id: 'shift_jis', label: 'Japanese (Shift-JIS)'},
+  {id: 'euc-jp', label: 'Japanese (EUC-JP)'},
+  {id: 'gbk', label: 'Chinese, Simplified (GBK)'},
+  {id: 'big5', label: 'Chinese, Traditional (Big5)'},
+  {id: 'euc-kr', label: 'Korean (EUC-KR)'}
+];
+const ENCODING_SAMPLE_BYTES = 64 * 1024; // enough text to judge by
+
+// Text in bytes, or null when they are not valid in encoding (stream: a cut-off last character is fine)
+function decodeStrict(bytes, encoding, stream) {
+  try {
+    return new TextDecoder(encoding, {fatal: true}).decode(bytes, {stream: !!stream});
+  } catch (_) {
+    return null;
+  }
+}
+
+// charset declared in an HTML <meta> or XML declaration near the start, if the browser knows it
+function declaredCharset(bytes) {
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 1024));
+  const m = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head) || /<\?xml[^>]+encoding\s*=\s*["']([\w-]+)/i.exec(head);
+  if (!m) return null;
+  try {
+    return new TextDecoder(m[1]).encoding;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Best guess at the encoding of bytes: a byte order mark, UTF-16 by its NUL pattern, valid
+ * UTF-8, a declared charset, Japanese (Shift-JIS/EUC-JP, recognized by their kana), and
+ * otherwise Windows-1252, which decodes any byte.
+ */
+function detectTextEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  // UTF-16 without a BOM: Latin text has a NUL in every other byte
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] !== 0) continue;
+    if (i % 2) oddNuls++;
+    else evenNuls++;
+  }
+  const pairs = Math.max(1, sample.length / 2);
+  if (oddNuls > pairs * 0.3 && evenNuls < pairs * 0.05) return 'utf-16le';
+  if (evenNuls > pairs * 0.3 && oddNuls < pairs * 0.05) return 'utf-16be';
+  if (decodeStrict(bytes, 'utf-8') !== null) return 'utf-8';
+  const declared = declaredCharset(bytes);
+  if (declared && declared !== 'utf-8') return declared;
+  // Japanese text is full of hiragana/katakana; text in a Western encoding decoded as
+  // Shift-JIS is invalid or comes out as kanji and half-width katakana
+  let best = null;
+  let bestShare = 0.15;
+  for (const encoding of ['shift_jis', 'euc-jp']) {
+    const text = decodeStrict(sample, encoding, sample.length < bytes.length);
+    if (text === null) continue;
+    const wide = (text.match(/[^\x00-\x7f]/g) || []).length;
+    const kana = (text.match(/[\u3040-\u30ff]/g) || []).length;
+    if (wide && kana / wide > bestShare) {
+      best = encoding;
+      bestShare = kana / wide;
+    }
+  }
+  return best || 'windows-1252';
+}
+
+/**
+ * Read a text file as {text, encoding}. encoding: a TextDecoder label, or 'auto' to detect it.
+ * Text that still comes out full of replacement characters or NULs (a binary file, or the
+ * wrong encoding picked) is rejected with an EncodingError.
+ */
+async function readTextFile(file, encoding = 'auto') {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const used = encoding && encoding !== 'auto' ? encoding : detectTextEncoding(bytes);
+  const text = new TextDecoder(used).decode(bytes); // drops a matching BOM
+  const bad = (text.match(/[\uFFFD\0]/g) || []).length;
+  if (bad >= Math.max(3, text.length * 0.005)) {
+    throw new DOMException(`${file.name} is not ${used} text`, 'EncodingError');
+  }
+  return {text, encoding: used};
+}
+
+function detectDocumentFormat(file) {
+  const ext = (file.name || '').toLowerCase().split('.').pop();
+  const fmt = DOCUMENT_FORMATS.find(f => f.exts.includes(ext) || f.types.includes(file.type));
+  return fmt ? fmt.id : 'text';
+}
+
+// Parse any supported non-PDF file into {text, structure, title}; files read as text also get
+// the encoding they were decoded with (encoding: see readTextFile)
+async function parseDocumentFile(file, encoding = 'auto') {
+  const format = detectDocumentFormat(file);
+  if (format === 'epub') return epubToDocument(await file.arrayBuffer());
+  if (format === 'docx') return docxToDocument(await file.arrayBuffer());
+  const read = await readTextFile(file, encoding);
+  const parsed = format === 'html' ? htmlToDocument(read.text)
+    : format === 'markdown' ? markdownToDocument(read.text)
+    : format === 'rtf' ? rtfToDocument(read.text)
+    : textToDocument(read.text);
+  return Object.assign(parsed, {encoding: read.encoding});
+}
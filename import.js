@@ -0,0 +1,115 @@
+/*
+  Import: text encoding, drag and drop, rich paste
+  - Text files are decoded in their detected encoding (readTextFile, formats.js); *Text encoding*
+    under the upload box overrides it for this session. Changing it decodes the open text
+    document again, and the Auto-detect entry names the encoding found for it.
+  - Files dropped on the reader area are added to the library like picked files.
+  - Pasted outside text fields, HTML with headings or paragraphs (a web page, a word processor)
+    becomes a structured document without the page's navigation boilerplate (cleanPastedHTML),
+    and files and plain text become documents too. Pasting into the text box edits it as usual
+    (files, which it cannot take, are still added).
+*/
+
+const encodingSelect = $('encodingSelect');
+const readerArea = $('readerArea');
+
+/* ---------- Text encoding ---------- */
+function textEncodingChoice() {
+  return (encodingSelect && encodingSelect.value) || 'auto';
+}
+
+function populateEncodingSelect() {
+  for (const enc of TEXT_ENCODINGS) {
+    const opt = document.createElement('option');
+    opt.value = enc.id;
+    opt.textContent = enc.label;
+    encodingSelect.appendChild(opt);
+  }
+}
+
+// Name the encoding the open document was decoded with next to "Auto-detect"
+function showDetectedEncoding(doc) {
+  if (!encodingSelect) return;
+  const auto = encodingSelect.querySelector('option[value="auto"]');
+  const enc = doc && doc.kind === 'text' && doc.encoding;
+  const known = enc && TEXT_ENCODINGS.find(e => e.id === enc);
+  auto.textContent = enc ? `Auto-detect: ${known ? known.label : enc}` : 'Auto-detect';
+}
+
+if (encodingSelect) {
+  populateEncodingSelect();
+  encodingSelect.addEventListener('change', () => {
+    const doc = activeDocument();
+    redecodeDocument(doc).catch(e => { // library.js
+      console.error('Could not decode the document again', e);
+      showStatus(`load:${doc.name}`, loadErrorMessage(e, doc.name));
+    });
+  });
+}
+
+/* ---------- Drag and drop ---------- */
+let dragDepth = 0; // dragenter/dragleave fire for every child element crossed
+
+function draggingFiles(ev) {
+  return !!ev.dataTransfer && Array.from(ev.dataTransfer.types || []).includes('Files');
+}
+
+if (readerArea) {
+  readerArea.addEventListener('dragenter', (ev) => {
+    if (!draggingFiles(ev)) return;
+    ev.preventDefault();
+    dragDepth++;
+    readerArea.classList.add('drop-target');
+  });
+  readerArea.addEventListener('dragover', (ev) => {
+    if (!draggingFiles(ev)) return;
+    ev.preventDefault();
+    ev.dataTransfer.dropEffect = 'copy';
+  });
+  readerArea.addEventListener('dragleave', () => {
+    if (dragDepth && --dragDepth === 0) readerArea.classList.remove('drop-target');
+  });
+  readerArea.addEventListener('drop', (ev) => {
+    if (!draggingFiles(ev)) return;
+    ev.preventDefault();
+    dragDepth = 0;
+    readerArea.classList.remove('drop-target');
+    addFilesToLibrary(Array.from(ev.dataTransfer.files));
+  });
+}
+
+// A file dropped just outside the reader area must not replace the page
+window.addEventListener('dragover', (ev) => { if (draggingFiles(ev)) ev.preventDefault(); });
+window.addEventListener('drop', (ev) => { if (draggingFiles(ev)) ev.preventDefault(); });
+
+/* ---------- Paste ---------- */
+// File name for pasted content, from its title or first line
+function pastedFileName(title, text, ext) {
+  const name = (title || text.trim().split('\n')[0] || '').replace(/[\\/:*?"<>|\s]+/g, ' ').slice(0, 80).replace(/^[\s.]+|[\s.]+$/g, '');
+  return `${name || 'Pasted text'}.${ext}`;
+}
+
+document.addEventListener('paste', (ev) => {
+  const data = ev.clipboardData;
+  const inField = isTypingTarget(ev.target); // controls.js
+  if (!data || (inField && ev.target !== pasteBox)) return; // search box, notes, settings
+  const files = Array.from(data.files || []);
+  if (files.length) {
+    ev.preventDefault();
+    addFilesToLibrary(files);
+    return;
+  }
+  if (inField) return; // text pasted into the text box is inserted there
+  const text = data.getData('text/plain') || '';
+  const html = data.getData('text/html');
+  const pasted = html ? cleanPastedHTML(html) : null;
+  if (pasted && pasted.structured) {
+    ev.preventDefault();
+    const page = `<!DOCTYPE html><meta charset="utf-8"><title>${escapeXML(pasted.title)}</title>${pasted.html}`;
+    addFilesToLibrary([new File([page], pastedFileName(pasted.title, text, 'html'), {type: 'text/html'})], 'utf-8');
+    return;
+  }
+  if (!text.trim()) return;
+  ev.preventDefault();
+  addFilesToLibrary([new File([text], pastedFileName('', text, 'txt'), {type: 'text/plain'})], 'utf-8');
+});
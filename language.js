@@ -0,0 +1,130 @@
+/*
+  Language + dialogue detection
+  - detectLanguage(): local, dictionary-free identification of a paragraph's language from its
+    script (Cyrillic, Greek, CJK…) or, for Latin text, from common function words and letters.
+  - splitVoiceRuns(): cuts text into runs of {start, end, lang, dialogue} per paragraph and,
+    optionally, quoted dialogue, so playback can pick a voice per run (voices.js).
+  - No DOM access.
+*/
+
+const MIN_DETECT_LETTERS = 24; // shorter paragraphs are read in the default language
+
+// Non-Latin scripts that identify a language (or the most likely one) on their own
+const SCRIPT_LANGUAGES = [
+  {re: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, lang: 'ja'},
+  {re: /\p{Script=Hangul}/gu, lang: 'ko'},
+  {re: /\p{Script=Han}/gu, lang: 'zh'},
+  {re: /\p{Script=Cyrillic}/gu, lang: 'ru'},
+  {re: /\p{Script=Greek}/gu, lang: 'el'},
+  {re: /\p{Script=Hebrew}/gu, lang: 'he'},
+  {re: /\p{Script=Arabic}/gu, lang: 'ar'},
+  {re: /\p{Script=Devanagari}/gu, lang: 'hi'},
+  {re: /\p{Script=Thai}/gu, lang: 'th'}
+];
+
+// Frequent short words per Latin-script language; shared words count for every language listing them
+const LANGUAGE_STOPWORDS = {
+  en: 'the and of to is in that it was for on with as his he be at by you are this not but have had from they she which were would there',
+  de: 'der die und das ist nicht ich sie es zu den mit von ein eine auch auf sich dem des im war wie aber wird nach bei oder wenn',
+  fr: 'le la les et est un une des du que qui dans pas pour sur au il elle ne ce se avec sont mais nous vous aux cette été',
+  es: 'el la los las y es un una que de en no por con para se del al lo como más pero su está son muy también fue',
+  it: 'il la le e è un una che di non per con del della sono si ma come anche gli nel alla questo ho sei',
+  pt: 'o a os as e é um uma que de não para com do da em no na se por mais mas ao foi são também você',
+  nl: 'de het een en is van dat niet ik je zijn op te met voor er maar ook als aan hij ze wat naar',
+  sv: 'och att det är en som på av för med den inte jag har till var om men ett så kan från',
+  pl: 'i w nie się na że z do to jest jak ale co o po tak od jego za czy już są',
+  tr: 've bir bu da de için ile çok ne ama daha gibi olarak var ben sen o değil',
+  fi: 'ja on ei se että hän oli ovat mutta kuin myös tai joka sen niin'
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(LANGUAGE_STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+// Letters that (nearly) only occur in one of the languages above
+const LANGUAGE_LETTERS = {
+  de: /[äöüß]/g, fr: /[àâæçèêëîïôœùûÿ]/g, es: /[ñ¿¡]/g, pt: /[ãõ]/g,
+  pl: /[ąćęłńśźż]/g, tr: /[ğış]/g, sv: /[å]/g
+};
+
+function countMatches(text, re) {
+  re.lastIndex = 0;
+  let n = 0;
+  while (re.exec(text)) n++;
+  return n;
+}
+
+// Primary subtag of a BCP 47 tag or voice lang ("en-US", "de_DE" -> "en", "de")
+function languageBase(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Best guess at the language of `text` as a primary subtag ("en", "de", "ja"…),
+ * or null when the text is too short or ambiguous.
+ */
+function detectLanguage(text) {
+  const letters = countMatches(text, /\p{L}/gu);
+  if (letters < MIN_DETECT_LETTERS) return null;
+  let best = null;
+  let bestCount = 0;
+  for (const {re, lang} of SCRIPT_LANGUAGES) {
+    const n = countMatches(text, re);
+    if (n > bestCount) { best = lang; bestCount = n; }
+  }
+  if (best === 'zh' && countMatches(text, SCRIPT_LANGUAGES[0].re) > 0) best = 'ja'; // kanji + kana
+  if (best === 'ru' && /[іїєґ]/i.test(text)) best = 'uk';
+  if (best && bestCount > letters / 2) return best;
+  // Latin script: function words, then distinctive letters as a tie-breaker
+  const lower = text.toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+  const scores = {};
+  for (const lang of Object.keys(STOPWORD_SETS)) scores[lang] = 0;
+  for (const w of words) {
+    for (const lang in STOPWORD_SETS) if (STOPWORD_SETS[lang].has(w)) scores[lang]++;
+  }
+  for (const [lang, re] of Object.entries(LANGUAGE_LETTERS)) scores[lang] += 0.5 * countMatches(lower, re);
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [top, second] = ranked;
+  if (top[1] < 2 || top[1] < words.length * 0.08 || top[1] <= second[1] * 1.2) return null;
+  return top[0];
+}
+
+// Quoted speech: “…”, "…", «…», „…“ and ‘…’ (not apostrophes); an unclosed quote runs to the paragraph end
+const DIALOGUE_RE = /“[^”]*”?|"[^"]*"?|«[^»]*»?|„[^“”]*[“”]?|(?<![\p{L}\p{N}])‘(?:[^’]|’(?=\p{L}))*’?/gu;
+
+/**
+ * Split text into runs [{start, end, lang, dialogue}] covering it completely.
+ * opts: {languages: bool (detect per paragraph), dialogue: bool, defaultLang}
+ * Adjacent runs with the same language and dialogue flag are merged.
+ */
+function splitVoiceRuns(text, opts = {}) {
+  const runs = [];
+  const push = (start, end, lang, dialogue) => {
+    if (end <= start) return;
+    const last = runs[runs.length - 1];
+    if (last && last.lang === lang && last.dialogue === dialogue && last.end === start) last.end = end;
+    else runs.push({start, end, lang, dialogue});
+  };
+  const fallback = opts.defaultLang || null;
+  const paraRe = /[\s\S]+?(?:\n\s*\n\s*|$)/g; // paragraph + the blank lines after it
+  let m;
+  while ((m = paraRe.exec(text))) {
+    const start = m.index;
+    const para = m[0];
+    const lang = (opts.languages && detectLanguage(para)) || fallback;
+    if (!opts.dialogue) {
+      push(start, start + para.length, lang, false);
+      continue;
+    }
+    let pos = 0;
+    let q;
+    DIALOGUE_RE.lastIndex = 0;
+    while ((q = DIALOGUE_RE.exec(para))) {
+      if (countMatches(q[0], /\p{L}/gu) < 2) continue;
+      push(start + pos, start + q.index, lang, false);
+      push(start + q.index, start + q.index + q[0].length, lang, true);
+      pos = q.index + q[0].length;
+    }
+    push(start + pos, start + para.length, lang, false);
+  }
+  return runs;
+}
@@ -0,0 +1,534 @@
+/*
+  Document library + reading queue
+  - Every loaded file becomes a document with its own text, PDF view/metadata and reading position.
+  - PNG/JPEG images get a page view like PDFs; their text (and that of scanned PDF pages) comes from OCR.
+  - EPUB/DOCX/HTML/Markdown/RTF files are converted by formats.js into plain text plus a
+    structure list (chapters, headings, paragraphs) kept on the document.
+  - The fileList order doubles as the reading queue: when a document finishes and
+    "Continue to next document" is on, playback moves to the next one in the list.
+  - Items can be opened, played, moved up/down, queued to play next or removed.
+  - Documents, positions and per-document voice/rate/volume persist in IndexedDB (storage.js)
+    and are restored on reload with a "Resume from…" prompt.
+*/
+
+/* ---------- Library state ---------- */
+let libraryDocs = []; // {id, hash, name, size, type, kind:'pdf'|'image'|'text', text, structure, encoding, blob, pdfView, ocr, position, settings, annotations}
+let activeDocId = null;
+let nextDocId = 1;
+const autoAdvanceToggle = $('autoAdvanceToggle');
+const resumeBanner = $('resumeBanner');
+const resumeText = $('resumeText');
+const resumeBtn = $('resumeBtn');
+const startOverBtn = $('startOverBtn');
+const dismissResumeBtn = $('dismissResumeBtn');
+const storageInfo = $('storageInfo');
+const clearLibraryBtn = $('clearLibraryBtn');
+const POSITION_SAVE_INTERVAL = 5000;
+
+function activeDocument() {
+  return libraryDocs.find(d => d.id === activeDocId) || null;
+}
+
+function isPDFFile(f) {
+  return f.type === 'application/pdf' || f.name.toLowerCase().endsWith('.pdf');
+}
+
+function isImageFile(f) {
+  return /^image\/(png|jpeg)$/.test(f.type) || /\.(png|jpe?g)$/i.test(f.name);
+}
+
+// PDFs and images are shown as pages (pdf-view.js); everything else in the text area
+function hasPageView(doc) {
+  return doc.kind === 'pdf' || doc.kind === 'image';
+}
+
+function buildDocumentView(doc) {
+  const build = doc.kind === 'image' ? buildImageView : buildPDFView;
+  return build(doc.blob, {ocr: doc.ocr, name: doc.name});
+}
+
+function newDocument(fields) {
+  return Object.assign({
+    id: nextDocId++,
+    hash: null,
+    name: 'Untitled',
+    size: 0,
+    type: 'unknown',
+    kind: 'text',
+    text: '',
+    structure: [],
+    encoding: null, // text files: the encoding they were decoded with
+    blob: null,
+    pdfView: null,
+    ocr: null,
+    position: 0,
+    settings: null
+  }, fields);
+}
+
+async function loadDocument(file, encoding = textEncodingChoice()) {
+  const doc = newDocument({
+    name: file.name,
+    size: file.size,
+    type: file.type || 'unknown'
+  });
+  try { doc.hash = await hashContent(file); } catch (_) { doc.hash = null; }
+  if (isPDFFile(file) || isImageFile(file)) {
+    doc.kind = isPDFFile(file) ? 'pdf' : 'image';
+    doc.blob = file;
+    if (doc.hash) {
+      // OCR results of a previously opened copy are reused instead of recognizing again
+      const stored = await getStoredDocument(doc.hash).catch(() => null);
+      if (stored && stored.ocr) doc.ocr = stored.ocr;
+    }
+    doc.pdfView = await buildDocumentView(doc);
+    doc.ocr = doc.pdfView.ocr;
+    doc.text = doc.pdfView.text;
+    saveWhenExtracted(doc);
+  } else {
+    const parsed = await parseDocumentFile(file, encoding);
+    doc.text = parsed.text;
+    doc.structure = parsed.structure;
+    doc.encoding = parsed.encoding || null;
+    if (doc.encoding) doc.blob = file; // kept for this session to decode again in another encoding
+  }
+  return doc;
+}
+
+// Decode a text document's file again in the encoding now chosen (import.js) (the file is only at hand in
+// the session it was opened in; after a reload it has to be opened again)
+async function redecodeDocument(doc) {
+  if (!doc || doc.kind !== 'text' || !doc.encoding || !doc.blob) return;
+  const parsed = await parseDocumentFile(doc.blob, textEncodingChoice());
+  if (parsed.encoding === doc.encoding) return;
+  adoptDecodedText(doc, parsed);
+}
+
+function adoptDecodedText(doc, parsed) {
+  doc.text = parsed.text;
+  doc.structure = parsed.structure;
+  doc.encoding = parsed.encoding;
+  doc.position = Math.min(doc.position, doc.text.length);
+  if (doc.hash) {
+    updateStoredDocument(doc.hash, {text: doc.text, structure: doc.structure, encoding: doc.encoding}).catch(e => console.warn('Could not save document text', e));
+  }
+  if (doc.id === activeDocId) {
+    setTextViewer(doc.text);
+    reader.seek(doc.position);
+    updatePlayPauseUI();
+    showDetectedEncoding(doc); // import.js
+  }
+}
+
+// Make sure a restored PDF/image has its page view built (restored documents are built lazily)
+async function ensureDocumentLoaded(doc) {
+  if (hasPageView(doc) && !doc.pdfView && doc.blob) {
+    doc.pdfView = await buildDocumentView(doc);
+    doc.ocr = doc.pdfView.ocr;
+    doc.text = doc.pdfView.text;
+    saveWhenExtracted(doc);
+  }
+}
+
+// A view is returned with its first pages; once the rest are in (pdf-view.js) the full text
+// and pages recognized now (e.g. OCR cancelled last time) are saved for next time
+function saveWhenExtracted(doc) {
+  const view = doc.pdfView;
+  view.done.then(() => {
+    if (view.closed || doc.pdfView !== view) return;
+    doc.text = view.text;
+    doc.ocr = view.ocr;
+    if (doc.hash && libraryDocs.includes(doc)) {
+      updateStoredDocument(doc.hash, {ocr: doc.ocr, text: doc.text}).catch(e => console.warn('Could not save document text', e));
+    }
+  });
+}
+
+// encoding: for text files, overrides the Text encoding choice (e.g. 'utf-8' for pasted text)
+async function addFilesToLibrary(files, encoding) {
+  let firstAdded = null;
+  for (const f of files) {
+    try {
+      const doc = await loadDocument(f, encoding);
+      hideStatus(`load:${f.name}`); // an earlier failure with this name
+      // Same content already in the library: reuse it (keeps its position and settings)
+      const existing = doc.hash && libraryDocs.find(d => d.hash === doc.hash);
+      if (existing) {
+        if (doc.pdfView) closePDFView(doc.pdfView);
+        // opened again in another encoding: the new decoding replaces the text
+        if (doc.encoding && doc.encoding !== (existing.encoding || 'utf-8')) adoptDecodedText(existing, doc);
+        if (doc.encoding) existing.blob = doc.blob;
+        if (!firstAdded) firstAdded = existing;
+        continue;
+      }
+      const stored = doc.hash ? await getStoredDocument(doc.hash).catch(() => null) : null;
+      if (stored) {
+        doc.position = stored.position || 0;
+        doc.settings = storedSettings(stored);
+      }
+      libraryDocs.push(doc);
+      persistDocument(doc, stored);
+      if (!firstAdded) firstAdded = doc;
+      renderFileList();
+    } catch (e) {
+      console.error('File load failed', e);
+      showStatus(`load:${f.name}`, loadErrorMessage(e, f.name)); // status.js
+    }
+  }
+  // Open the first new file unless something is already being read
+  if (firstAdded && !(isPlaying && activeDocument())) {
+    await activateDocument(firstAdded.id);
+    if (firstAdded.position > 0) offerResume(firstAdded);
+  }
+  renderFileList();
+  updateStorageInfo();
+}
+
+/* ---------- Switching documents ---------- */
+function saveActivePosition() {
+  const doc = activeDocument();
+  if (!doc) return;
+  doc.position = reader.position;
+  doc.settings = currentSettings();
+  saveDocumentState(doc);
+}
+
+async function activateDocument(id) {
+  const doc = libraryDocs.find(d => d.id === id);
+  if (!doc || doc.id === activeDocId) return; // already open: keep reading where it is
+  saveActivePosition();
+  reader.stop();
+  activeDocId = doc.id;
+  try {
+    await ensureDocumentLoaded(doc);
+    hideStatus(`load:${doc.name}`);
+  } catch (e) {
+    console.error('Document load failed', e);
+    showStatus(`load:${doc.name}`, loadErrorMessage(e, doc.name));
+    if (activeDocId === doc.id) activeDocId = null; // opening it again tries again
+    return;
+  }
+  if (doc.id !== activeDocId) return; // another document was opened meanwhile
+  if (hasPageView(doc)) {
+    showPDFView(doc.pdfView);
+    doc.text = doc.pdfView.text; // cleanup options may have changed since it was built
+    // a saved position deep in a long PDF waits for its pages
+    if (doc.position >= doc.text.length && !doc.pdfView.complete) {
+      await pdfTextReaching(doc.pdfView, doc.position);
+      if (doc.id !== activeDocId) return;
+      updatePDFText(doc.pdfView);
+    }
+  } else {
+    isPDFMode = false;
+    pdfPagesMeta = [];
+    pdfSpans = [];
+    clearPDFHighlight();
+    setTextViewer(doc.text);
+  }
+  reader.seek(doc.position);
+  if (doc.settings) applySettings(doc.settings);
+  showDetectedEncoding(doc); // import.js
+  updatePlayPauseUI();
+  renderFileList();
+}
+
+function removeDocument(id) {
+  const idx = libraryDocs.findIndex(d => d.id === id);
+  if (idx < 0) return;
+  const [doc] = libraryDocs.splice(idx, 1);
+  if (doc.pdfView) closePDFView(doc.pdfView);
+  if (doc.hash) {
+    deleteStoredDocument(doc.hash).then(updateStorageInfo).catch(() => {});
+    deleteStoredAnnotationsFor(doc.hash).catch(() => {});
+  }
+  if (doc.id === activeDocId) {
+    reader.stop();
+    activeDocId = null;
+    const neighbour = libraryDocs[idx] || libraryDocs[idx - 1];
+    if (neighbour) {
+      activateDocument(neighbour.id);
+    } else {
+      isPDFMode = false;
+      pdfPagesMeta = [];
+      pdfSpans = [];
+      clearPDFHighlight();
+      setTextViewer('');
+      showDetectedEncoding(null);
+      updatePlayPauseUI();
+    }
+  }
+  renderFileList();
+}
+
+function moveDocument(id, delta) {
+  const idx = libraryDocs.findIndex(d => d.id === id);
+  const to = idx + delta;
+  if (idx < 0 || to < 0 || to >= libraryDocs.length) return;
+  const [doc] = libraryDocs.splice(idx, 1);
+  libraryDocs.splice(to, 0, doc);
+  renderFileList();
+}
+
+// Move a document right after the one being read
+function playDocumentNext(id) {
+  const idx = libraryDocs.findIndex(d => d.id === id);
+  if (idx < 0 || id === activeDocId) return;
+  const [doc] = libraryDocs.splice(idx, 1);
+  const activeIdx = libraryDocs.findIndex(d => d.id === activeDocId);
+  libraryDocs.splice(activeIdx + 1, 0, doc);
+  renderFileList();
+}
+
+// Open the previous/next document in the list, continuing playback if it was playing
+function openAdjacentDocument(delta) {
+  const idx = libraryDocs.findIndex(d => d.id === activeDocId);
+  const doc = libraryDocs[idx + delta];
+  if (idx < 0 || !doc) return false;
+  if (isPlaying) playDocument(doc.id);
+  else activateDocument(doc.id);
+  return true;
+}
+
+async function playDocument(id) {
+  if (id !== activeDocId) await activateDocument(id);
+  if (activeDocId === id) reader.play(); // the open document resumes where it is
+}
+
+// Called by playback when the active document has been read to the end
+function playNextInQueue() {
+  if (autoAdvanceToggle && !autoAdvanceToggle.checked) return false;
+  const idx = libraryDocs.findIndex(d => d.id === activeDocId);
+  const next = libraryDocs[idx + 1];
+  if (idx < 0 || !next) return false;
+  // finished documents start over next time they are opened
+  libraryDocs[idx].position = 0;
+  reader.stop();
+  next.position = 0;
+  playDocument(next.id);
+  return true;
+}
+
+/* ---------- Persistence ---------- */
+function currentSettings() {
+  return {
+    voice: voiceSelect.value || null,
+    rate: Number(rateSlider.value) || 1,
+    volume: Number(volumeSlider.value)
+  };
+}
+
+function storedSettings(rec) {
+  if (!rec || typeof rec.rate !== 'number') return null;
+  return {voice: rec.voice || null, rate: rec.rate, volume: rec.volume};
+}
+
+// Page number and a short snippet describing a reading position
+function describePosition(doc, pos) {
+  let page = null;
+  if (hasPageView(doc) && doc.pdfView) {
+    const starts = pageStartOffsets(doc.pdfView.pagesMeta);
+    const meta = doc.pdfView.pagesMeta[findChunkIndex(starts, pos)];
+    page = meta ? meta.pageNum : null;
+  }
+  const snippet = doc.text.slice(pos, pos + 80).replace(/\s+/g, ' ').trim();
+  return {page, snippet};
+}
+
+function persistDocument(doc, stored) {
+  if (!doc.hash) return;
+  const now = Date.now();
+  const {page, snippet} = describePosition(doc, doc.position);
+  putStoredDocument(Object.assign({
+    hash: doc.hash,
+    name: doc.name,
+    size: doc.size,
+    type: doc.type,
+    kind: doc.kind,
+    text: doc.text,
+    structure: doc.structure,
+    encoding: doc.encoding,
+    blob: hasPageView(doc) ? doc.blob : null,
+    ocr: doc.ocr,
+    position: doc.position,
+    page,
+    snippet,
+    addedAt: (stored && stored.addedAt) || now,
+    updatedAt: now
+  }, doc.settings || {})).catch(e => console.warn('Could not save document', e));
+}
+
+function saveDocumentState(doc) {
+  if (!doc || !doc.hash) return;
+  const {page, snippet} = describePosition(doc, doc.position);
+  const fields = Object.assign({position: doc.position, page, snippet}, doc.settings || {});
+  // edited text documents keep their edits
+  if (doc.kind === 'text') {
+    fields.text = doc.text;
+    fields.structure = doc.structure;
+  }
+  updateStoredDocument(doc.hash, fields).catch(e => console.warn('Could not save reading position', e));
+}
+
+async function restoreLibrary() {
+  requestPersistentStorage();
+  let records = [];
+  try {
+    records = await listStoredDocuments();
+  } catch (e) {
+    console.warn('Library storage unavailable', e);
+    return;
+  }
+  for (const rec of records) {
+    if (libraryDocs.some(d => d.hash === rec.hash)) continue;
+    libraryDocs.push(newDocument({
+      hash: rec.hash,
+      name: rec.name,
+      size: rec.size,
+      type: rec.type,
+      kind: rec.kind,
+      text: rec.text || '',
+      structure: rec.structure || [],
+      encoding: rec.encoding || null,
+      blob: rec.blob || null,
+      ocr: rec.ocr || null,
+      position: rec.position || 0,
+      settings: storedSettings(rec),
+      page: rec.page,
+      snippet: rec.snippet
+    }));
+  }
+  renderFileList();
+  updateStorageInfo();
+  // Offer to pick up the most recently read document where it was left
+  if (activeDocId || !records.length) return;
+  const last = records.reduce((a, b) => ((b.updatedAt || 0) > (a.updatedAt || 0) ? b : a));
+  const doc = libraryDocs.find(d => d.hash === last.hash);
+  if (doc) {
+    await activateDocument(doc.id);
+    if (doc.position > 0) offerResume(doc);
+  }
+}
+
+function offerResume(doc) {
+  if (!resumeBanner) return;
+  const {page, snippet} = doc.pdfView ? describePosition(doc, doc.position) : doc;
+  const where = page ? `page ${page}` : `${Math.round(100 * doc.position / Math.max(1, doc.text.length))}%`;
+  resumeText.textContent = `Resume “${doc.name}” from ${where}${snippet ? ` / ‘${snippet.slice(0, 60)}…’` : ''}`;
+  resumeBanner.dataset.docId = doc.id;
+  resumeBanner.style.display = 'flex';
+}
+
+function hideResumeBanner() {
+  if (resumeBanner) resumeBanner.style.display = 'none';
+}
+
+async function updateStorageInfo() {
+  if (!storageInfo) return;
+  const est = await estimateStorage().catch(() => null);
+  const mb = n => (n / 1024 / 1024).toFixed(1);
+  storageInfo.textContent = est && est.quota
+    ? `Storage: ${mb(est.usage)} MB of ${mb(est.quota)} MB used`
+    : '';
+}
+
+async function clearLibrary() {
+  if (!confirm('Remove all documents, saved reading positions, bookmarks and highlights from this browser?')) return;
+  reader.stop();
+  for (const doc of libraryDocs) if (doc.pdfView) closePDFView(doc.pdfView);
+  libraryDocs = [];
+  activeDocId = null;
+  isPDFMode = false;
+  pdfPagesMeta = [];
+  pdfSpans = [];
+  clearPDFHighlight();
+  setTextViewer('');
+  updatePlayPauseUI();
+  hideResumeBanner();
+  try {
+    await clearStoredDocuments();
+    await clearStoredAnnotations();
+  } catch (e) {
+    console.warn('Could not clear library storage', e);
+  }
+  renderFileList();
+  updateStorageInfo();
+}
+
+if (resumeBtn) {
+  resumeBtn.addEventListener('click', () => {
+    const id = Number(resumeBanner.dataset.docId);
+    hideResumeBanner();
+    playDocument(id);
+  });
+}
+if (startOverBtn) {
+  startOverBtn.addEventListener('click', async () => {
+    const doc = libraryDocs.find(d => d.id === Number(resumeBanner.dataset.docId));
+    hideResumeBanner();
+    if (!doc) return;
+    doc.position = 0;
+    if (doc.id === activeDocId) reader.seek(0);
+    playDocument(doc.id);
+  });
+}
+if (dismissResumeBtn) dismissResumeBtn.addEventListener('click', hideResumeBanner);
+if (clearLibraryBtn) clearLibraryBtn.addEventListener('click', clearLibrary);
+
+// Save position and settings while reading and whenever the user changes something
+setInterval(() => { if (isPlaying) saveActivePosition(); }, POSITION_SAVE_INTERVAL);
+[voiceSelect, rateSlider, volumeSlider].forEach(el => el.addEventListener('change', saveActivePosition));
+playPauseBtn.addEventListener('click', () => { hideResumeBanner(); saveActivePosition(); });
+stopBtn.addEventListener('click', saveActivePosition);
+document.addEventListener('visibilitychange', () => { if (document.hidden) saveActivePosition(); });
+
+/* ---------- fileList panel ---------- */
+function fileActionButton(icon, title, onClick, disabled) {
+  const btn = document.createElement('button');
+  btn.className = 'btn ghost icon';
+  btn.title = title;
+  btn.setAttribute('aria-label', title);
+  btn.innerHTML = `<i class="fa ${icon}"></i>`;
+  btn.disabled = !!disabled;
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+function renderFileList() {
+  fileList.innerHTML = '';
+  if (!libraryDocs.length) {
+    fileList.innerHTML = '<div class="small-muted">No files yet</div>';
+    return;
+  }
+  const activeIdx = libraryDocs.findIndex(d => d.id === activeDocId);
+  libraryDocs.forEach((doc, i) => {
+    const item = document.createElement('div');
+    item.className = 'file-item' + (doc.id === activeDocId ? ' active' : '');
+    item.title = 'Click to open';
+    item.addEventListener('click', () => activateDocument(doc.id));
+    const left = document.createElement('div');
+    left.className = 'file-meta';
+    const name = document.createElement('strong');
+    name.textContent = doc.name;
+    const info = document.createElement('div');
+    info.className = 'small-muted';
+    let status = '';
+    if (doc.id === activeDocId) status = ' • Now reading';
+    else if (activeIdx >= 0 && i === activeIdx + 1) status = ' • Up next';
+    info.textContent = `${(doc.size/1024/1024).toFixed(2)} MB • ${doc.type}${status}`;
+    left.appendChild(name);
+    left.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'file-actions';
+    actions.appendChild(fileActionButton('fa-play', 'Play', () => playDocument(doc.id)));
+    actions.appendChild(fileActionButton('fa-forward', 'Play next', () => playDocumentNext(doc.id), doc.id === activeDocId));
+    actions.appendChild(fileActionButton('fa-arrow-up', 'Move up', () => moveDocument(doc.id, -1), i === 0));
+    actions.appendChild(fileActionButton('fa-arrow-down', 'Move down', () => moveDocument(doc.id, 1), i === libraryDocs.length - 1));
+    actions.appendChild(fileActionButton('fa-xmark', 'Remove', () => removeDocument(doc.id)));
+    item.appendChild(left);
+    item.appendChild(actions);
+    fileList.appendChild(item);
+  });
+}
@@ -0,0 +1,181 @@
+/*
+  Speech normalization
+  - Rewrites text before it reaches the speech engine: user dictionary entries (literal or
+    regex) plus built-in rules for bracketed citations, URLs, common abbreviations and units.
+  - All rules match against the original text and never overlap (earlier rules win, the user
+    dictionary first), so the result is a list of edits and every spoken offset maps back to
+    the original text for highlighting.
+  - No DOM access; the dictionary UI and storage live in pronunciation.js.
+*/
+
+const NORMALIZE_DEFAULTS = {
+  citations: true,      // "[12]", "[3–5]", "[citation needed]" are skipped
+  urls: true,           // "https://example.com/x" is read as "link"
+  abbreviations: true,  // "e.g." -> "for example", "vs." -> "versus"…
+  units: true           // "5 km" -> "5 kilometers"
+};
+
+const SPOKEN_ABBREVIATIONS = {
+  'e.g.': 'for example',
+  'i.e.': 'that is',
+  'etc.': 'et cetera',
+  'vs.': 'versus',
+  'approx.': 'approximately',
+  'a.k.a.': 'also known as',
+  'cf.': 'compare',
+  'fig.': 'figure',
+  'figs.': 'figures',
+  'eq.': 'equation',
+  'no.': 'number'
+};
+
+// unit -> [singular, plural]
+const SPOKEN_UNITS = {
+  km: ['kilometer', 'kilometers'], m: ['meter', 'meters'], cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'], kg: ['kilogram', 'kilograms'], g: ['gram', 'grams'],
+  mg: ['milligram', 'milligrams'], lb: ['pound', 'pounds'], lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'], ft: ['foot', 'feet'], mi: ['mile', 'miles'], mph: ['mile per hour', 'miles per hour'],
+  'km/h': ['kilometer per hour', 'kilometers per hour'], kph: ['kilometer per hour', 'kilometers per hour'],
+  ml: ['milliliter', 'milliliters'], mL: ['milliliter', 'milliliters'], L: ['liter', 'liters'],
+  '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  KB: ['kilobyte', 'kilobytes'], MB: ['megabyte', 'megabytes'], GB: ['gigabyte', 'gigabytes'], TB: ['terabyte', 'terabytes'],
+  Hz: ['hertz', 'hertz'], kHz: ['kilohertz', 'kilohertz'], MHz: ['megahertz', 'megahertz'], GHz: ['gigahertz', 'gigahertz'],
+  W: ['watt', 'watts'], kW: ['kilowatt', 'kilowatts'], V: ['volt', 'volts'], mAh: ['milliamp hour', 'milliamp hours']
+};
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Built-in rules: {re, replace(match, text)} with replace returning the spoken text
+function builtinNormalizeRules(options) {
+  const rules = [];
+  if (options.citations) {
+    // not single letters: "[B]", "[A]" and "a[i]" are options, labels and code
+    rules.push({re: /\s*\[(?:\d+(?:\s*[-–,]\s*\d+)*|citation needed|note \d+)\]/giu, replace: () => ''});
+  }
+  if (options.urls) {
+    rules.push({re: /\b(?:https?:\/\/|www\.)[^\s<>"')\]]*[^\s<>"')\].,;:!?]/giu, replace: () => 'link'});
+  }
+  if (options.abbreviations) {
+    const alts = Object.keys(SPOKEN_ABBREVIATIONS).map(escapeRegExp).join('|');
+    rules.push({
+      re: new RegExp(`(?<![\\p{L}.])(?:${alts})(?=\\s|$|[,;:)])`, 'giu'),
+      replace: (m, text) => {
+        const key = m[0].toLowerCase();
+        if (key === 'no.' && !/^\s*\d/.test(text.slice(m.index + m[0].length))) return null;
+        // "etc." ending a sentence keeps its full stop
+        const endsSentence = /^\s+[A-Z]|^\s*$/.test(text.slice(m.index + m[0].length, m.index + m[0].length + 3));
+        return SPOKEN_ABBREVIATIONS[key] + (key === 'etc.' && endsSentence ? '.' : '');
+      }
+    });
+  }
+  if (options.units) {
+    const alts = Object.keys(SPOKEN_UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    rules.push({
+      re: new RegExp(`(\\d+(?:,\\d{3})*(?:[.,]\\d+)?)\\s?(${alts})(?![\\p{L}\\p{N}])`, 'gu'),
+      replace: (m) => {
+        const [singular, plural] = SPOKEN_UNITS[m[2]];
+        // "1,000 km" groups thousands, "1,5 km" has a decimal comma
+        const value = /^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(m[1]) ? m[1].replace(/,/g, '') : m[1].replace(',', '.');
+        return `${m[1]} ${Number(value) === 1 ? singular : plural}`;
+      }
+    });
+  }
+  return rules;
+}
+
+// "$1", "$&" in a user replacement refer to the match's groups
+function expandReplacement(template, m) {
+  return template.replace(/\$(\d{1,2}|&)/g, (_, g) => (g === '&' ? m[0] : (m[Number(g)] || '')));
+}
+
+/**
+ * Compile a user dictionary entry {find, replace, regex, caseSensitive, wholeWord}.
+ * Returns a rule, or null when the entry is empty or its regex does not compile.
+ */
+function compileDictionaryEntry(entry) {
+  if (!entry || !entry.find || entry.enabled === false) return null;
+  const flags = 'g' + (entry.caseSensitive ? '' : 'i');
+  let source = entry.regex ? entry.find : escapeRegExp(entry.find);
+  if (entry.wholeWord !== false && !entry.regex) source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+  let re;
+  try {
+    re = new RegExp(source, flags + 'u');
+  } catch (_) {
+    try { re = new RegExp(source, flags); } catch (e) { return null; }
+  }
+  const template = String(entry.replace || '');
+  return {re, replace: m => expandReplacement(template, m)};
+}
+
+function compileNormalizeRules(dictionary, options) {
+  const opts = Object.assign({}, NORMALIZE_DEFAULTS, options || {});
+  const user = (dictionary || []).map(compileDictionaryEntry).filter(Boolean);
+  return user.concat(builtinNormalizeRules(opts));
+}
+
+/**
+ * Apply compiled rules to text.
+ * Returns {text, segments}; segments are the edits [{orig, origEnd, out, outEnd}] in order.
+ */
+function normalizeText(text, rules) {
+  const taken = new Uint8Array(text.length + 1);
+  const edits = [];
+  for (const rule of rules) {
+    rule.re.lastIndex = 0;
+    let m;
+    while ((m = rule.re.exec(text))) {
+      const from = m.index;
+      const to = from + m[0].length;
+      if (to === from) { rule.re.lastIndex++; continue; }
+      let free = true;
+      for (let i = from; i < to && free; i++) if (taken[i]) free = false;
+      if (!free) continue;
+      const replacement = rule.replace(m, text);
+      if (replacement === null || replacement === undefined) continue;
+      taken.fill(1, from, to);
+      edits.push({from, to, text: String(replacement)});
+    }
+  }
+  edits.sort((a, b) => a.from - b.from);
+  let out = '';
+  let pos = 0;
+  const segments = [];
+  for (const e of edits) {
+    out += text.slice(pos, e.from);
+    segments.push({orig: e.from, origEnd: e.to, out: out.length, outEnd: out.length + e.text.length});
+    out += e.text;
+    pos = e.to;
+  }
+  out += text.slice(pos);
+  return {text: out, segments};
+}
+
+// Index of the last edit starting at or before normalized offset i (-1 if none)
+function editBefore(norm, i) {
+  const segs = norm.segments;
+  let lo = 0, hi = segs.length - 1, k = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (segs[mid].out <= i) { k = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return k;
+}
+
+// Original offset for an offset in the normalized text (inside a replacement: its start)
+function toOriginalOffset(norm, i) {
+  const k = editBefore(norm, i);
+  if (k < 0) return i;
+  const s = norm.segments[k];
+  return i < s.outEnd ? s.orig : s.origEnd + (i - s.outEnd);
+}
+
+// Original [start, end) for a spoken range; words inside a replacement cover the replaced text
+function toOriginalRange(norm, start, end) {
+  const a = toOriginalOffset(norm, start);
+  const last = Math.max(start, end - 1);
+  const k = editBefore(norm, last);
+  const s = k >= 0 ? norm.segments[k] : null;
+  const b = s && last < s.outEnd ? s.origEnd : toOriginalOffset(norm, last) + 1;
+  return [a, Math.max(a + 1, b)];
+}
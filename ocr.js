@@ -0,0 +1,131 @@
+/*
+  OCR (tesseract.js)
+  - Recognizes text on scanned/image-only PDF pages and on image files, entirely in the browser.
+  - tesseract.js, its WASM core (LSTM builds) and the English data are loaded lazily from
+    vendor/tesseract/; nothing is fetched from a CDN and no page image leaves the browser.
+  - Results are word boxes in page coordinates (scale 1), which pdf-view.js turns into
+    text-layer items, so cleanup, highlighting and click-to-jump work as for text PDFs.
+*/
+
+const OCR_VENDOR = './vendor/tesseract/';
+const OCR_LANGUAGE = 'eng';
+const OCR_MAX_SCALE = 2;       // render PDF pages at up to 2x (~150 dpi for letter/A4)
+const OCR_MAX_PIXELS = 4000;   // longest side of the image handed to the recognizer
+const OCR_MIN_CONFIDENCE = 20; // drop words tesseract is nearly sure are noise
+let ocrWorkerPromise = null;
+let ocrLogger = null; // receives tesseract progress messages for the running job
+
+// The worker resolves core/language paths relative to its own script, so pass absolute URLs
+function ocrVendorURL(path) {
+  return new URL(OCR_VENDOR + path, document.baseURI).href;
+}
+
+function getOCRWorker() {
+  if (ocrWorkerPromise) return ocrWorkerPromise;
+  ocrWorkerPromise = (async () => {
+    if (typeof Tesseract === 'undefined') await loadScriptOnce(`${OCR_VENDOR}tesseract.min.js`);
+    return Tesseract.createWorker(OCR_LANGUAGE, 1, {
+      workerPath: ocrVendorURL('worker.min.js'),
+      corePath: ocrVendorURL('core'),
+      langPath: ocrVendorURL('lang'),
+      workerBlobURL: false,
+      logger: m => { if (ocrLogger) ocrLogger(m); }
+    });
+  })();
+  ocrWorkerPromise.catch(() => { ocrWorkerPromise = null; });
+  return ocrWorkerPromise;
+}
+
+// Stop the worker (the only way to interrupt a running recognize call)
+async function terminateOCR() {
+  const pending = ocrWorkerPromise;
+  ocrWorkerPromise = null;
+  if (!pending) return;
+  try { await (await pending).terminate(); } catch (_) {}
+}
+
+function ocrAbortError() {
+  return new DOMException('OCR cancelled', 'AbortError');
+}
+
+/**
+ * Recognize words on a canvas/image drawn at `scale` times page size.
+ * opts: {scale, signal, onprogress(fraction)}
+ * Returns [{str, x0, y0, x1, y1}] in page coordinates; y0/y1 are the line's box so words on a
+ * line share a baseline, and every word but the last on a line keeps its trailing space.
+ */
+async function recognizeWords(source, opts = {}) {
+  const scale = opts.scale || 1;
+  const signal = opts.signal;
+  if (signal && signal.aborted) throw ocrAbortError();
+  let onAbort = null;
+  const aborted = new Promise((_, rej) => {
+    onAbort = () => { terminateOCR(); rej(ocrAbortError()); };
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+  ocrLogger = (m) => {
+    if (opts.onprogress && m.status === 'recognizing text') opts.onprogress(m.progress || 0);
+  };
+  try {
+    const worker = await Promise.race([getOCRWorker(), aborted]);
+    const {data} = await Promise.race([worker.recognize(source, {}, {text: false, blocks: true}), aborted]);
+    const words = [];
+    for (const block of data.blocks || []) {
+      for (const para of block.paragraphs || []) {
+        for (const line of para.lines || []) {
+          const kept = (line.words || []).filter(w => w.text.trim() && w.confidence >= OCR_MIN_CONFIDENCE);
+          kept.forEach((w, i) => {
+            words.push({
+              str: w.text.trim() + (i < kept.length - 1 ? ' ' : ''),
+              x0: w.bbox.x0 / scale,
+              y0: line.bbox.y0 / scale,
+              x1: w.bbox.x1 / scale,
+              y1: line.bbox.y1 / scale
+            });
+          });
+        }
+      }
+    }
+    return words;
+  } finally {
+    ocrLogger = null;
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Render scale for recognition: sharp enough for small print, bounded for huge scans/photos
+function ocrScaleFor(width, height) {
+  return Math.min(OCR_MAX_SCALE, OCR_MAX_PIXELS / Math.max(1, width, height));
+}
+
+/* ---------- Images as pages ---------- */
+async function loadImageFile(file) {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(file);
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+// Minimal stand-in for a PDF.js page (getViewport/render), so images use the same page view
+function imagePage(img) {
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  return {
+    getViewport: ({scale}) => ({width: width * scale, height: height * scale, scale, transform: [scale, 0, 0, scale, 0, 0]}),
+    render({canvasContext, viewport, transform}) {
+      let cancelled = false;
+      const promise = Promise.resolve().then(() => {
+        if (cancelled) throw Object.assign(new Error('Rendering cancelled'), {name: 'RenderingCancelledException'});
+        if (transform) canvasContext.setTransform(...transform);
+        canvasContext.drawImage(img, 0, 0, viewport.width, viewport.height);
+      });
+      return {promise, cancel() { cancelled = true; }};
+    }
+  };
+}
@@ -0,0 +1,279 @@
+/*
+  Outline + structural navigation
+  - Sidebar entries come from the PDF outline (pdf.getOutline()), the chapter/heading structure
+    of imported documents (formats.js) or headings detected in plain text; PDFs without an
+    outline list their pages.
+  - Every entry points at a char offset in currentText; clicking one starts reading there.
+  - Skip back/forward by sentence, paragraph, page or chapter.
+  - The current-section label and the active sidebar entry follow the reading position (reader.position).
+*/
+
+/* ---------- State ---------- */
+let outlineEntries = []; // {title, level, start, page}, sorted by start
+let outlineStarts = []; // outlineEntries[i].start, for binary search
+let outlineBuild = 0; // increments per rebuild so stale async PDF outlines are dropped
+let activeOutlineIdx = -1;
+let sentenceStartsCache = {text: null, starts: []};
+const SKIP_BACK_GRACE = 12; // chars into a unit after which "back" restarts the unit instead
+const outlinePanel = $('outlinePanel');
+const outlineList = $('outlineList');
+const currentSectionLabel = $('currentSection');
+const skipUnitSelect = $('skipUnit');
+const skipBackBtn = $('skipBackBtn');
+const skipForwardBtn = $('skipForwardBtn');
+
+/* ---------- Heading detection (plain text) ---------- */
+const CHAPTER_HEADING_RE = /^(chapter|part|book|prologue|epilogue|appendix|preface|introduction|foreword|afterword|interlude)\b/i;
+const NUMBERED_HEADING_RE = /^(\d+(?:\.\d+)*\.?|[IVXLC]+\.)\s+\S/;
+
+// Short, unpunctuated paragraphs that look like headings; returns [{title, level, start}]
+function detectTextHeadings(text) {
+  const found = [];
+  const re = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g; // paragraphs = runs of non-blank lines
+  let m;
+  while ((m = re.exec(text))) {
+    const raw = m[0];
+    const line = raw.trim();
+    if (!line || line.length > 80 || /\n/.test(line)) continue;
+    const start = m.index + raw.indexOf(line);
+    const md = /^(#{1,6})\s+(.+?)\s*#*$/.exec(line);
+    let level = 0;
+    let title = line;
+    if (md) { level = md[1].length; title = md[2]; }
+    else if (CHAPTER_HEADING_RE.test(line)) level = 1;
+    else if (/[.,;:!?"”]$/.test(line)) continue;
+    else if (NUMBERED_HEADING_RE.test(line)) level = Math.min(4, (line.match(/^[\d.]+/) || [''])[0].replace(/\.$/, '').split('.').length + 1);
+    else if (/[A-Z]{2}/.test(line) && !/[a-z]/.test(line)) level = 2;
+    if (level) found.push({title, level, start});
+  }
+  return found;
+}
+
+/* ---------- Building the outline ---------- */
+function structureOutline(structure) {
+  const hasChapters = structure.some(s => s.type === 'chapter');
+  return structure
+    .filter(s => s.type === 'chapter' || s.type === 'heading')
+    .map(s => ({
+      title: s.title || currentText.slice(s.start, s.end).slice(0, 80),
+      level: s.type === 'chapter' ? 1 : s.level + (hasChapters ? 1 : 0),
+      start: s.start
+    }));
+}
+
+// Outline items of a PDF resolved to {title, level, pageIndex, top}; cached on the view
+async function resolvePDFOutline(view) {
+  if (view.outlineDests) return view.outlineDests;
+  const dests = [];
+  const pdf = view.pdf;
+  const outline = pdf && pdf.getOutline ? await pdf.getOutline().catch(() => null) : null;
+  const walk = async (items, level) => {
+    for (const item of items || []) {
+      try {
+        let dest = item.dest;
+        if (typeof dest === 'string') dest = await pdf.getDestination(dest);
+        if (Array.isArray(dest) && dest[0] != null) {
+          const pageIndex = typeof dest[0] === 'object' ? await pdf.getPageIndex(dest[0]) : dest[0];
+          const kind = dest[1] && dest[1].name;
+          const top = kind === 'XYZ' ? dest[3] : (kind === 'FitH' || kind === 'FitBH') ? dest[2] : null;
+          dests.push({title: item.title, level, pageIndex, top});
+        }
+      } catch (e) {
+        console.warn('Skipping unresolvable outline entry', item.title, e);
+      }
+      await walk(item.items, level + 1);
+    }
+  };
+  await walk(outline, 1);
+  view.outlineDests = dests;
+  return dests;
+}
+
+// Char offset for a PDF destination: the first text below its top on that page
+function pdfDestOffset(view, dest) {
+  const pg = view.pages[dest.pageIndex];
+  if (!pg || dest.pageIndex >= view.pagesMeta.length) return null; // page not extracted yet
+  const pageStarts = pageStartOffsets(view.pagesMeta);
+  let offset = pageStarts[dest.pageIndex];
+  if (typeof dest.top === 'number') {
+    const vp = pg.page.getViewport({scale: 1});
+    const y = vp.convertToViewportPoint ? vp.convertToViewportPoint(0, dest.top)[1] : pg.height - dest.top;
+    let best = null;
+    for (const s of view.spans) {
+      if (s.page !== pg.pageNum || s.y < y - 2) continue;
+      if (!best || s.y < best.y || (s.y === best.y && s.start < best.start)) best = s;
+    }
+    if (best) offset = best.start;
+  }
+  return offset;
+}
+
+async function buildOutlineEntries() {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  if (isPDFMode && activePDFView) {
+    const view = activePDFView;
+    const dests = await resolvePDFOutline(view);
+    if (dests.length) {
+      return dests
+        .map(d => ({title: d.title, level: d.level, start: pdfDestOffset(view, d), page: d.pageIndex + 1}))
+        .filter(e => e.start !== null);
+    }
+    const starts = pageStartOffsets(view.pagesMeta);
+    return view.pagesMeta.map((p, i) => ({title: `Page ${p.pageNum}`, level: 1, start: starts[i], page: p.pageNum}));
+  }
+  const fromStructure = doc && doc.structure ? structureOutline(doc.structure) : [];
+  if (fromStructure.length) return fromStructure;
+  return detectTextHeadings(currentText); // plain text, or a document without headings
+}
+
+// Rebuild the sidebar for the current text (called whenever the text being read changes)
+async function refreshOutline() {
+  const build = ++outlineBuild;
+  let entries = [];
+  try {
+    entries = await buildOutlineEntries();
+  } catch (e) {
+    console.warn('Could not build outline', e);
+  }
+  if (build !== outlineBuild) return;
+  outlineEntries = entries
+    .filter(e => e.start >= 0 && e.start <= currentText.length)
+    .sort((a, b) => a.start - b.start);
+  outlineStarts = outlineEntries.map(e => e.start);
+  activeOutlineIdx = -1;
+  renderOutline();
+  updateSkipControls();
+  updateCurrentSection(reader.position);
+}
+
+function renderOutline() {
+  if (!outlineList) return;
+  outlineList.innerHTML = '';
+  if (outlinePanel) outlinePanel.style.display = outlineEntries.length ? '' : 'none';
+  const minLevel = Math.min(...outlineEntries.map(e => e.level));
+  outlineEntries.forEach((entry, i) => {
+    const a = document.createElement('a');
+    a.href = '#';
+    a.className = 'outline-item';
+    a.dataset.idx = i;
+    a.style.paddingLeft = `${8 + 12 * Math.min(4, entry.level - minLevel)}px`;
+    a.textContent = entry.title;
+    a.title = entry.page ? `${entry.title} (page ${entry.page})` : entry.title;
+    a.addEventListener('click', (e) => {
+      e.preventDefault();
+      jumpToCharIndex(entry.start);
+      updateCurrentSection(entry.start);
+    });
+    outlineList.appendChild(a);
+  });
+}
+
+/* ---------- Current section ---------- */
+function updateCurrentSection(pos) {
+  const idx = outlineEntries.length ? findChunkIndex(outlineStarts, pos) : -1;
+  const entry = idx >= 0 && outlineEntries[idx].start <= pos ? outlineEntries[idx] : null;
+  if (currentSectionLabel) currentSectionLabel.textContent = entry ? entry.title : '';
+  const active = entry ? idx : -1;
+  if (active === activeOutlineIdx || !outlineList) return;
+  activeOutlineIdx = active;
+  syncMediaSession(); // controls.js: section title in the media metadata
+  for (const el of outlineList.querySelectorAll('.outline-item.active')) el.classList.remove('active');
+  const el = outlineList.querySelector(`.outline-item[data-idx="${active}"]`);
+  if (!el) return;
+  el.classList.add('active');
+  // keep the active entry visible without moving the page
+  const list = outlineList.getBoundingClientRect();
+  const r = el.getBoundingClientRect();
+  if (r.top < list.top || r.bottom > list.bottom) outlineList.scrollTop += r.top - list.top - list.height / 2;
+}
+
+/* ---------- Skip controls ---------- */
+function sentenceStarts() {
+  if (sentenceStartsCache.text !== currentText) {
+    // only appended paragraphs (PDF pages arriving) need segmenting
+    const from = textAppendedAfter(sentenceStartsCache.text);
+    const starts = segmentSentences(currentText.slice(from)).map(([s, e]) => {
+      const lead = /^\s*/.exec(currentText.slice(from + s, from + e))[0].length;
+      return from + s + lead;
+    });
+    sentenceStartsCache = {text: currentText, starts: from ? sentenceStartsCache.starts.concat(starts) : starts};
+  }
+  return sentenceStartsCache.starts;
+}
+
+function paragraphStarts() {
+  const starts = [0];
+  const re = /\n\s*\n\s*/g;
+  let m;
+  while ((m = re.exec(currentText))) if (m.index + m[0].length < currentText.length) starts.push(m.index + m[0].length);
+  return starts;
+}
+
+// Sorted char offsets where each unit begins ([] when the unit does not apply)
+function skipTargets(unit) {
+  switch (unit) {
+    case 'sentence': return sentenceStarts();
+    case 'paragraph': return paragraphStarts();
+    case 'page': return isPDFMode ? pageStartOffsets(pdfPagesMeta) : [];
+    case 'chapter': {
+      if (!outlineEntries.length) return [];
+      const top = Math.min(...outlineEntries.map(e => e.level));
+      return outlineEntries.filter(e => e.level === top).map(e => e.start);
+    }
+    default: return [];
+  }
+}
+
+// Move the reading position; keeps playing if playing, otherwise only positions the playhead
+function goToCharIndex(idx) {
+  if (isPlaying) {
+    jumpToCharIndex(idx);
+  } else {
+    reader.seek(idx); // a paused utterance would otherwise resume at the old spot
+    try { pasteBox.setSelectionRange(idx, idx); } catch (_) {}
+    if (isPDFMode && pdfSpans.length) highlightPDFWord(idx, idx + 1);
+    resumeReadAlongScroll();
+    highlightReadAlong(idx, idx + 1); // read-along.js
+    updatePlayPauseUI();
+  }
+  updateCurrentSection(idx);
+}
+
+// Returns false when there is nothing to skip to in that direction
+function skip(dir, unit) {
+  if (!currentText) return false;
+  unit = unit || (skipUnitSelect ? skipUnitSelect.value : 'sentence');
+  const starts = skipTargets(unit);
+  if (!starts.length) return false;
+  const pos = reader.position;
+  let target;
+  if (dir > 0) {
+    target = starts.find(s => s > pos);
+  } else {
+    const i = findChunkIndex(starts, pos);
+    // well into a unit, "back" restarts it; just past its start, it goes to the previous one
+    target = (pos - starts[i] >= SKIP_BACK_GRACE || i === 0) ? starts[i] : starts[i - 1];
+  }
+  if (target === undefined) return false;
+  goToCharIndex(target);
+  return true;
+}
+
+function updateSkipControls() {
+  if (!skipUnitSelect) return;
+  for (const opt of skipUnitSelect.options) {
+    opt.disabled = (opt.value === 'page' && !isPDFMode) || (opt.value === 'chapter' && !outlineEntries.length);
+  }
+  if (skipUnitSelect.selectedOptions[0] && skipUnitSelect.selectedOptions[0].disabled) skipUnitSelect.value = 'sentence';
+  updateSleepOptions(); // progress.js
+}
+
+if (skipBackBtn) skipBackBtn.addEventListener('click', () => skip(-1));
+if (skipForwardBtn) skipForwardBtn.addEventListener('click', () => skip(1));
+
+// Edited text: headings are re-detected once typing pauses
+let outlineEditTimer = null;
+pasteBox.addEventListener('input', () => {
+  clearTimeout(outlineEditTimer);
+  outlineEditTimer = setTimeout(refreshOutline, 400);
+});
@@ -0,0 +1,238 @@
+/*
+  PDF text cleanup
+  - Turns PDF.js text items into readable page text: reading order (two-column layouts),
+    lines merged into paragraphs, hyphenated line breaks rejoined, and running headers/footers,
+    page numbers and footnote markers dropped.
+  - Works on plain item boxes ({str, x, y, w, size} with y = baseline from the top of the page),
+    so it does not depend on PDF.js itself.
+  - Output keeps a piece per kept item ({item, start, length}): the kept text is always a prefix
+    of item.str, so page offsets map straight back to the text-layer spans.
+  - Pages are cleaned in batches of PDF_CLEANUP_BATCH as they arrive; running headers are judged
+    from the pages up to the end of each batch, so a page's text never changes when more pages
+    follow (offsets stay valid while a long PDF is still being extracted).
+*/
+
+const PDF_CLEANUP_DEFAULTS = {
+  columns: true,          // detect two-column layouts and read column by column
+  dehyphenate: true,      // "exam-" + "ple" -> "example"
+  paragraphs: true,       // merge lines into paragraphs (blank line between paragraphs)
+  headersFooters: true,   // drop text repeated at the top/bottom of most pages
+  pageNumbers: true,      // drop lone page numbers in the top/bottom margin
+  footnoteMarkers: true   // drop small raised reference numbers/symbols
+};
+
+const PDF_CLEANUP_BATCH = 10; // pages cleaned together (pdf-view.js extracts in the same steps)
+const PDF_MARGIN_BAND = 0.08; // top/bottom fraction of the page treated as header/footer area
+const PAGE_NUMBER_RE = /^(?:page\s*)?(?:\d{1,4}|[ivxlcdm]{1,7})(?:\s*(?:of|\/)\s*\d{1,4})?$/i;
+const FOOTNOTE_MARKER_RE = /^[\d*†‡§¶]{1,3}[.,)]?$/;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[sorted.length >> 1];
+}
+
+function inMarginBand(box, page) {
+  return box.y < page.height * PDF_MARGIN_BAND || box.y > page.height * (1 - PDF_MARGIN_BAND);
+}
+
+// Count each page's margin text once (digits folded so "Page 3" == "Page 4")
+function countMarginText(pages, counts) {
+  for (const page of pages) {
+    const keys = new Set();
+    for (const box of page.items) {
+      const key = box.str.trim().toLowerCase().replace(/\d+/g, '#');
+      if (key && inMarginBand(box, page)) keys.add(key);
+    }
+    for (const k of keys) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+}
+
+// Keys of margin text repeated on at least half of pageCount pages
+function repeatedMarginText(counts, pageCount) {
+  const repeated = new Set();
+  if (pageCount < 3) return repeated;
+  const threshold = Math.max(2, Math.ceil(pageCount / 2));
+  for (const [k, n] of counts) if (n >= threshold) repeated.add(k);
+  return repeated;
+}
+
+/* ---------- Layout ---------- */
+// Vertical gap in the middle of the page that no (or almost no) item crosses
+function findColumnGutter(page, items) {
+  if (items.length < 10) return null;
+  const width = Math.ceil(page.width);
+  const cover = new Uint16Array(width + 1);
+  for (const b of items) {
+    const from = Math.max(0, Math.floor(b.x));
+    const to = Math.min(width, Math.ceil(b.x + b.w));
+    for (let x = from; x <= to; x++) cover[x]++;
+  }
+  const allowed = Math.max(1, Math.floor(items.length * 0.05));
+  const lo = Math.floor(width * 0.3), hi = Math.ceil(width * 0.7);
+  let bestStart = -1, bestLen = 0, runStart = -1;
+  for (let x = lo; x <= hi + 1; x++) {
+    const open = x <= hi && cover[x] <= allowed;
+    if (open && runStart < 0) runStart = x;
+    if (!open && runStart >= 0) {
+      if (x - runStart > bestLen) { bestLen = x - runStart; bestStart = runStart; }
+      runStart = -1;
+    }
+  }
+  if (bestLen < 8) return null;
+  const gutter = bestStart + bestLen / 2;
+  const left = items.filter(b => b.x + b.w <= gutter).length;
+  const right = items.filter(b => b.x >= gutter).length;
+  if (left < items.length * 0.2 || right < items.length * 0.2) return null;
+  return gutter;
+}
+
+const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x);
+
+// Split items into reading-order groups: column segments between full-width rows
+function readingGroups(page, items, opts) {
+  if (!opts.columns) return [items]; // stream order
+  const gutter = findColumnGutter(page, items);
+  if (gutter === null) return [[...items].sort(byPosition)];
+  const spanning = items.filter(b => b.x < gutter && b.x + b.w > gutter).sort(byPosition);
+  const groups = [];
+  let prevY = -Infinity;
+  for (let k = 0; k <= spanning.length; k++) {
+    const nextY = k < spanning.length ? spanning[k].y : Infinity;
+    const band = items.filter(b => b.y > prevY && b.y <= nextY && !(b.x < gutter && b.x + b.w > gutter));
+    groups.push(band.filter(b => b.x + b.w <= gutter).sort(byPosition));
+    groups.push(band.filter(b => b.x >= gutter).sort(byPosition));
+    if (k < spanning.length) {
+      // consecutive full-width items on one row stay together
+      const row = [spanning[k]];
+      while (k + 1 < spanning.length && Math.abs(spanning[k + 1].y - spanning[k].y) < spanning[k].size * 0.5) row.push(spanning[++k]);
+      groups.push(row);
+      prevY = spanning[k].y;
+    }
+  }
+  return groups.filter(g => g.length);
+}
+
+// Group items (already in reading order) into lines by baseline
+function buildLines(items, opts) {
+  const lines = [];
+  let line = null;
+  for (const b of items) {
+    const tol = Math.max(b.size, line ? line.size : 0) * 0.5;
+    if (!line || Math.abs(b.y - line.y) > tol) {
+      line = {items: [], y: b.y, size: b.size};
+      lines.push(line);
+    }
+    line.items.push(b);
+    // the dominant (largest) font sets the line's baseline, so superscripts do not split it
+    if (b.size > line.size) { line.size = b.size; line.y = b.y; }
+  }
+  for (const l of lines) {
+    if (opts.columns) l.items.sort((a, b) => a.x - b.x);
+    l.left = Math.min(...l.items.map(b => b.x));
+    l.right = Math.max(...l.items.map(b => b.x + b.w));
+  }
+  return lines;
+}
+
+function isFootnoteMarker(box, line, bodySize) {
+  return box.size < bodySize * 0.8
+    && FOOTNOTE_MARKER_RE.test(box.str.trim())
+    && box.y < line.y - bodySize * 0.2;
+}
+
+/* ---------- Cleanup ---------- */
+// State for cleaning a document batch by batch: the options and the margin text seen so far
+function newPDFCleanup(options) {
+  return {opts: Object.assign({}, PDF_CLEANUP_DEFAULTS, options || {}), counts: new Map(), pageCount: 0};
+}
+
+/**
+ * Clean the next PDF_CLEANUP_BATCH pages (only the document's last batch may be shorter).
+ * pages: [{width, height, items: [{str, x, y, w, size}]}] (item order = PDF.js order)
+ * Returns [{text, pieces: [{item, start, length}]}] per page; item is the index into page.items.
+ */
+function cleanPDFBatch(cleanup, pages) {
+  const opts = cleanup.opts;
+  countMarginText(pages, cleanup.counts);
+  cleanup.pageCount += pages.length;
+  const repeated = opts.headersFooters ? repeatedMarginText(cleanup.counts, cleanup.pageCount) : new Set();
+  return pages.map(page => cleanPDFPage(page, opts, repeated));
+}
+
+function cleanPDFPage(page, opts, repeated) {
+  const items = [];
+  page.items.forEach((box, index) => {
+    const str = box.str || '';
+    if (!str.trim()) return;
+    if (inMarginBand(box, page)) {
+      if (opts.pageNumbers && PAGE_NUMBER_RE.test(str.trim())) return;
+      if (repeated.has(str.trim().toLowerCase().replace(/\d+/g, '#'))) return;
+    }
+    items.push(Object.assign({index}, box));
+  });
+  const bodySize = median(items.map(b => b.size)) || 10;
+  let text = '';
+  const pieces = [];
+  let prevLine = null; // {lastPiece, endsSentence, right, left, y, size, groupRight}
+  for (const group of readingGroups(page, items, opts)) {
+    const lines = buildLines(group, opts);
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+      const d = lines[i].y - lines[i - 1].y;
+      if (d > 0) gaps.push(d);
+    }
+    const lineGap = median(gaps) || bodySize * 1.2;
+    const groupLeft = Math.min(...lines.map(l => l.left));
+    const groupRight = Math.max(...lines.map(l => l.right));
+    lines.forEach((line, li) => {
+      const kept = opts.footnoteMarkers ? line.items.filter(b => !isFootnoteMarker(b, line, bodySize)) : line.items;
+      if (!kept.length) return;
+      // separator from the previous line
+      if (prevLine) {
+        const first = kept[0].str.trimStart();
+        const hyphenated = /[A-Za-zÀ-ÿ]-$/.test(text) && /^[a-zà-ÿ]/.test(first);
+        let sep;
+        if (opts.dehyphenate && hyphenated) {
+          // drop the hyphen (kept text stays a prefix of the item)
+          prevLine.lastPiece.length -= 1;
+          text = text.slice(0, -1);
+          sep = '';
+        } else if (!opts.paragraphs) {
+          sep = '\n';
+        } else {
+          const newGroup = li === 0;
+          const bigGap = !newGroup && line.y - prevLine.y > lineGap * 1.6;
+          const indented = !newGroup && line.left - groupLeft > bodySize * 1.5 && prevLine.left - groupLeft < bodySize * 0.5;
+          const shortLast = prevLine.endsSentence && prevLine.right < prevLine.groupRight - bodySize * 3;
+          const headingSize = Math.abs(line.size - prevLine.size) > bodySize * 0.2;
+          sep = (bigGap || indented || shortLast || headingSize || (newGroup && prevLine.endsSentence)) ? '\n\n' : ' ';
+        }
+        text += sep;
+      }
+      let lastPiece = null;
+      kept.forEach((b, i) => {
+        if (i > 0) {
+          const prev = kept[i - 1];
+          const gap = b.x - (prev.x + prev.w);
+          const spaced = /\s$/.test(prev.str) || /^\s/.test(b.str);
+          if (!spaced && gap > b.size * 0.15) text += ' ';
+        }
+        const str = (i === kept.length - 1) ? b.str.replace(/\s+$/, '') : b.str;
+        lastPiece = {item: b.index, start: text.length, length: str.length};
+        pieces.push(lastPiece);
+        text += str;
+      });
+      prevLine = {
+        lastPiece,
+        endsSentence: /[.!?:;"”’)]$/.test(text),
+        left: line.left,
+        right: line.right,
+        y: line.y,
+        size: line.size,
+        groupRight
+      };
+    });
+  }
+  return {text, pieces};
+}
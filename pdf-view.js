@@ -0,0 +1,780 @@
+/*
+  PDF view
+  - Extracts text with PDF.js a batch of pages at a time: the view is shown once the first batch
+    is in and the rest follow in the background (PDF.js parses in its worker; the page loop yields
+    between batches). The reader's text grows as they arrive (extendTextViewer in script.js).
+  - Pages are virtualized: every page has a placeholder of its size, but only pages near the
+    viewport hold a canvas and a text layer. pdfSpans keep item indices rather than elements, so
+    lookups work for off-screen text; marks are redrawn when a page's layer is built again.
+  - A transparent, absolutely positioned text layer is built from the text item transforms,
+    so selection, double-click jump and highlighting line up with the rendered page.
+  - The word being spoken gets a highlight rectangle measured from the text layer; search
+    matches and annotations get boxes inside it (setPDFMarks).
+  - Zoom in/out and fit-width.
+  - Page text comes from the cleanup stage (pdf-cleanup.js); its per-item pieces drive pdfSpans.
+  - Pages without a text layer (scans) and image files get their text items from OCR (ocr.js).
+*/
+
+/* ---------- PDF handling via pdf.js ---------- */
+pdfjsLib.GlobalWorkerOptions.workerSrc = './vendor/pdfjs/pdf.worker.min.js';
+
+const PDF_EXTRACT_BATCH = PDF_CLEANUP_BATCH; // pages fetched per step (cleanup works in the same batches)
+
+// Pages from..to-1 (0-based) with their text items
+async function extractPDFPages(pdf, from, to) {
+  const pages = [];
+  for (let p = from + 1; p <= to; p++) {
+    const page = await pdf.getPage(p);
+    const tc = await page.getTextContent();
+    pages.push({page, textItems: tc.items});
+  }
+  return pages;
+}
+
+/* ---------- View state ---------- */
+const PDF_ZOOM_STEPS = [0.5, 0.67, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const PDF_RENDER_MARGIN = '800px 0px'; // pages this far outside the viewport keep their canvas and text layer
+const PDF_TEXT_UPDATE_MS = 1500; // how often pages extracted in the background reach the reader
+let pdfZoomMode = 'fit'; // 'fit' follows the viewer width, 'manual' keeps pdfZoom
+let pdfZoom = 1;
+let activePDFView = null;
+let pdfWordHighlight = null; // highlight rectangle for the word being spoken
+let pdfHighlightPage = null; // page of that word; its layer may have been built off-screen
+let pdfTextUpdateTimer = null;
+const pdfMarks = new Map(); // class name -> [{start, end}] drawn into every text layer (setPDFMarks)
+let pdfCleanupOptions = loadPDFCleanupOptions();
+const pdfZoomInBtn = $('pdfZoomInBtn');
+const pdfZoomOutBtn = $('pdfZoomOutBtn');
+const pdfFitWidthBtn = $('pdfFitWidthBtn');
+const pdfZoomLabel = $('pdfZoomLabel');
+const pdfCleanupPanel = $('pdfCleanupPanel');
+const pdfLoadProgress = $('pdfLoadProgress');
+const pdfLoadStatus = $('pdfLoadStatus');
+
+// Text widths are measured once at 100px and scaled to the item's font size
+let measureCtx = null;
+function measureTextWidth(str, fontSize) {
+  if (!measureCtx) {
+    measureCtx = document.createElement('canvas').getContext('2d');
+    if (measureCtx) measureCtx.font = '100px sans-serif';
+  }
+  if (!measureCtx || !measureCtx.measureText) return 0;
+  return measureCtx.measureText(str).width * fontSize / 100;
+}
+
+/* ---------- Building a document view ---------- */
+function buildTextLayerSpan(itm, tx) {
+  const span = document.createElement('span');
+  span.textContent = itm.str;
+  const fontHeight = Math.hypot(tx[2], tx[3]);
+  const angle = Math.atan2(tx[1], tx[0]);
+  span.style.left = `${tx[4]}px`;
+  span.style.top = `${tx[5] - fontHeight}px`;
+  span.style.fontSize = `${fontHeight}px`;
+  const transforms = [];
+  if (angle) transforms.push(`rotate(${angle}rad)`);
+  const measured = measureTextWidth(itm.str, fontHeight);
+  if (measured > 0 && itm.width > 0) transforms.push(`scaleX(${itm.width / measured})`);
+  if (transforms.length) span.style.transform = transforms.join(' ');
+  return span;
+}
+
+// Build the page view for one PDF without touching the active document.
+// Returns {container, text, pagesMeta, spans, pages, ...} once the first batch of pages is in;
+// view.done settles when the rest are (view.complete). container is a .pdf-doc element inside pdfViewer.
+// options: {ocr, name} — cached OCR words per page number (pages without a text layer are OCR'd
+// otherwise); name is shown in the password prompt
+async function buildPDFView(file, options = {}) {
+  const arrayBuffer = await file.arrayBuffer();
+  const pdf = await openPDFDocument(arrayBuffer, options.name || file.name || 'This PDF');
+  const view = newPageView(pdf, pdf.numPages, options);
+  await addPDFBatch(view, await extractPDFPages(pdf, 0, Math.min(pdf.numPages, PDF_EXTRACT_BATCH)));
+  pdfViewer.appendChild(view.container);
+  view.done = streamPDFPages(view);
+  return view;
+}
+
+// Password-protected PDFs ask for the password in a banner (status.js) until it is right;
+// dismissing the prompt rejects with a PasswordException, as PDF.js does without onPassword
+function openPDFDocument(data, name) {
+  const task = pdfjsLib.getDocument({data});
+  return new Promise((resolve, reject) => {
+    task.onPassword = (updatePassword, reason) => {
+      askForPassword(name, reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD).then(password => {
+        if (password !== null) return updatePassword(password);
+        task.destroy();
+        reject(namedError('PasswordException', `${name} needs a password`));
+      });
+    };
+    task.promise.then(resolve, reject);
+  });
+}
+
+// PNG/JPEG files become a one-page view whose text comes from OCR
+async function buildImageView(file, options = {}) {
+  const img = await loadImageFile(file).catch(e => {
+    throw namedError('ImageError', `Could not decode image: ${(e && e.message) || e}`);
+  });
+  const view = newPageView(null, 1, options);
+  await addPDFBatch(view, [{page: imagePage(img), textItems: []}]);
+  pdfViewer.appendChild(view.container);
+  view.complete = true;
+  view.done = Promise.resolve();
+  return view;
+}
+
+function newPageView(pdf, pageCount, options) {
+  const container = document.createElement('div');
+  container.className = 'pdf-doc';
+  container.style.display = 'none';
+  return {
+    container, text: '', pagesMeta: [], spans: [], pages: [], layout: [],
+    cleanup: newPDFCleanup(pdfCleanupOptions), cleanupKey: JSON.stringify(pdfCleanupOptions),
+    scale: 0, observer: null, watching: false, pdf, pageCount, ocr: Object.assign({}, options.ocr),
+    skipOCR: false, done: null, complete: false, failed: false, closed: false
+  };
+}
+
+// The remaining pages, a batch at a time; each batch is cleaned and appended to the view's text
+async function streamPDFPages(view) {
+  try {
+    for (let from = view.pages.length; from < view.pageCount && !view.closed; from += PDF_EXTRACT_BATCH) {
+      const batch = await extractPDFPages(view.pdf, from, Math.min(view.pageCount, from + PDF_EXTRACT_BATCH));
+      if (view.closed) return;
+      await addPDFBatch(view, batch);
+      schedulePDFTextUpdate(view);
+      await new Promise(resolve => setTimeout(resolve, 0)); // let playback and input through
+    }
+  } catch (e) {
+    if (view.closed) return;
+    console.error('PDF extraction failed', e);
+    view.failed = true;
+  } finally {
+    view.complete = true;
+  }
+  schedulePDFTextUpdate(view);
+}
+
+async function addPDFBatch(view, data) {
+  const added = data.map(p => addPDFPage(view, p));
+  await recognizeImagePages(view, added);
+  if (view.closed) return;
+  appendCleanedPages(view, added, cleanPDFBatch(view.cleanup, added.map(pg => view.layout[pg.pageNum - 1])));
+}
+
+// Placeholder sized to the page; its canvas and text layer are built when it nears the viewport
+function addPDFPage(view, p) {
+  const pageNum = view.pages.length + 1;
+  const viewport = p.page.getViewport({scale: 1});
+  const pageDiv = document.createElement('div');
+  pageDiv.className = 'pdf-page';
+  pageDiv.dataset.page = pageNum;
+  pageDiv.setAttribute('aria-label', `Page ${pageNum}`);
+  const pg = {pageNum, page: p.page, div: pageDiv, canvas: null, textLayer: null, items: [], transforms: [], itemEls: null, boxes: [], pieces: [], textStart: 0, width: viewport.width, height: viewport.height, visible: false, renderedScale: 0, renderTask: null, ocr: false};
+  for (const itm of p.textItems) addTextLayerItem(pg, itm, pdfjsLib.Util.transform(viewport.transform, itm.transform));
+  if (view.scale) sizePDFPage(pg, view.scale);
+  view.container.appendChild(pageDiv);
+  view.pages.push(pg);
+  view.layout.push({width: pg.width, height: pg.height, items: pg.boxes});
+  if (view.watching) watchPDFPage(view, pg);
+  return pg;
+}
+
+function addTextLayerItem(pg, itm, tx) {
+  pg.items.push(itm);
+  pg.transforms.push(tx);
+  pg.boxes.push({str: itm.str, x: tx[4], y: tx[5], w: itm.width || 0, size: Math.hypot(tx[2], tx[3])});
+  if (pg.textLayer) {
+    const span = buildTextLayerSpan(itm, tx);
+    pg.itemEls.push(span);
+    pg.textLayer.appendChild(span);
+  }
+}
+
+// Canvas and text layer for a page near the viewport (or one whose word is being highlighted)
+function buildPDFPageLayer(view, pg) {
+  if (pg.textLayer) return;
+  const canvas = document.createElement('canvas');
+  canvas.className = 'pdf-canvas';
+  // positioned text layer at scale 1; zoom scales the whole layer with a CSS transform
+  const textLayer = document.createElement('div');
+  textLayer.className = 'pdf-text-layer';
+  textLayer.style.width = `${pg.width}px`;
+  textLayer.style.height = `${pg.height}px`;
+  if (view.scale) textLayer.style.transform = `scale(${view.scale})`;
+  pg.itemEls = pg.items.map((itm, i) => textLayer.appendChild(buildTextLayerSpan(itm, pg.transforms[i])));
+  pg.canvas = canvas;
+  pg.textLayer = textLayer;
+  pg.div.prepend(canvas, textLayer);
+  labelPDFPage(pg);
+  if (view === activePDFView) drawPDFPageMarks(pg);
+}
+
+// A page far from the viewport goes back to an empty placeholder
+function releasePDFPage(pg) {
+  if (!pg.textLayer) return;
+  if (pg.renderTask) pg.renderTask.cancel();
+  pg.canvas.remove();
+  pg.textLayer.remove();
+  pg.canvas = null;
+  pg.textLayer = null;
+  pg.itemEls = null;
+  pg.renderedScale = 0;
+}
+
+// Stop a view's background extraction and drop its pages (document removed or a duplicate)
+function closePDFView(view) {
+  view.closed = true;
+  if (view.observer) view.observer.disconnect();
+  view.container.remove();
+  if (view.pdf && view.pdf.destroy) view.pdf.destroy().catch(() => {});
+}
+
+/* ---------- OCR for pages without a text layer ---------- */
+let ocrAbort = null;
+const ocrProgress = $('ocrProgress');
+const ocrStatus = $('ocrStatus');
+const ocrCancelBtn = $('ocrCancelBtn');
+
+function setOCRProgress(done, total, message) {
+  if (ocrProgress) {
+    ocrProgress.max = Math.max(1, total);
+    ocrProgress.value = done;
+    ocrProgress.style.display = total ? 'block' : 'none';
+  }
+  if (ocrStatus) ocrStatus.textContent = message || '';
+  if (ocrCancelBtn) ocrCancelBtn.style.display = total ? '' : 'none';
+}
+
+// OCR words become text items: one span per word, the line box as its height
+function addOCRWords(pg, words) {
+  for (const w of words) {
+    const h = Math.max(1, w.y1 - w.y0);
+    addTextLayerItem(pg, {str: w.str, width: w.x1 - w.x0, ocr: true}, [h, 0, 0, -h, w.x0, w.y1]);
+  }
+  pg.ocr = true;
+}
+
+// Recognize the pages (of a batch) that have no text (scans, images); cached pages are reused.
+// Cancel keeps the pages recognized so far; a missing OCR setup leaves the pages empty. Either
+// way later batches are not recognized.
+async function recognizeImagePages(view, pages) {
+  const blank = pages.filter(pg => !pg.items.some(itm => itm.str && itm.str.trim()));
+  const todo = [];
+  for (const pg of blank) {
+    if (view.ocr[pg.pageNum]) addOCRWords(pg, view.ocr[pg.pageNum]);
+    else todo.push(pg);
+  }
+  if (!todo.length || view.skipOCR) return;
+  ocrAbort = new AbortController();
+  const signal = ocrAbort.signal;
+  const total = todo.length;
+  try {
+    for (let i = 0; i < total; i++) {
+      const pg = todo[i];
+      const label = `Recognizing text: page ${pg.pageNum} (${i + 1}/${total})`;
+      setOCRProgress(i, total, `${label}…`);
+      const scale = ocrScaleFor(pg.width, pg.height);
+      const viewport = pg.page.getViewport({scale});
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('Canvas not available for OCR');
+      await pg.page.render({canvasContext: ctx, viewport}).promise;
+      const words = await recognizeWords(canvas, {
+        scale,
+        signal,
+        onprogress: f => setOCRProgress(i + f, total, `${label} ${Math.round(f * 100)}%`)
+      });
+      view.ocr[pg.pageNum] = words;
+      addOCRWords(pg, words);
+    }
+    setOCRProgress(0, 0, `Recognized text on ${total} page${total === 1 ? '' : 's'}`);
+  } catch (e) {
+    view.skipOCR = true;
+    if (e && e.name === 'AbortError') {
+      setOCRProgress(0, 0, 'Text recognition cancelled; remaining pages have no text');
+    } else {
+      console.error('OCR failed', e);
+      setOCRProgress(0, 0, `Text recognition failed: ${(e && e.message) || e}`);
+    }
+  } finally {
+    ocrAbort = null;
+  }
+}
+
+if (ocrCancelBtn) {
+  ocrCancelBtn.addEventListener('click', () => { if (ocrAbort) ocrAbort.abort(); });
+}
+
+/* ---------- Text cleanup and char mapping ---------- */
+function loadPDFCleanupOptions() {
+  try {
+    return Object.assign({}, PDF_CLEANUP_DEFAULTS, JSON.parse(localStorage.getItem('pdfCleanup') || '{}'));
+  } catch (_) {
+    return Object.assign({}, PDF_CLEANUP_DEFAULTS);
+  }
+}
+
+// (Re)build the view's text, pagesMeta and spans from the current cleanup options
+// (pages still being added are cleaned by addPDFBatch as usual)
+function applyPDFCleanup(view) {
+  const count = view.pagesMeta.length;
+  view.cleanup = newPDFCleanup(pdfCleanupOptions);
+  view.cleanupKey = JSON.stringify(pdfCleanupOptions);
+  view.text = '';
+  view.pagesMeta = [];
+  view.spans = [];
+  for (let i = 0; i < count; i += PDF_CLEANUP_BATCH) {
+    const pages = view.pages.slice(i, Math.min(count, i + PDF_CLEANUP_BATCH));
+    appendCleanedPages(view, pages, cleanPDFBatch(view.cleanup, pages.map(pg => view.layout[pg.pageNum - 1])));
+  }
+}
+
+// Add cleaned pages to the end of the view's text, pagesMeta and spans
+function appendCleanedPages(view, pages, cleaned) {
+  let accumulated = view.text;
+  cleaned.forEach((pc, i) => {
+    const pg = pages[i];
+    const pageBase = accumulated.length; // global start index of this page in currentText
+    pc.pieces.forEach((piece, k) => {
+      // each span owns the text up to the next piece, so separators map to the preceding word
+      const next = pc.pieces[k + 1];
+      view.spans.push({start: pageBase + piece.start, end: pageBase + (next ? next.start : pc.text.length), page: pg.pageNum, item: piece.item, y: pg.boxes[piece.item].y});
+    });
+    pg.pieces = pc.pieces;
+    pg.textStart = pageBase;
+    labelPDFPage(pg);
+    view.pagesMeta.push({pageNum: pg.pageNum, text: pc.text, items: pg.items});
+    accumulated += pc.text + '\n\n';
+  });
+  view.text = accumulated;
+}
+
+// Store page and char index on the text-layer spans of kept items (double-click jump)
+function labelPDFPage(pg) {
+  if (!pg.itemEls) return;
+  for (const el of pg.itemEls) delete el.dataset.charIndex;
+  for (const piece of pg.pieces) {
+    pg.itemEls[piece.item].dataset.charIndex = JSON.stringify({page: pg.pageNum, offset: piece.start});
+  }
+}
+
+// Global char offset where each page's text begins (pages are joined with a blank line)
+function pageStartOffsets(pagesMeta) {
+  const starts = [];
+  let acc = 0;
+  for (const p of pagesMeta) {
+    starts.push(acc);
+    acc += p.text.length + 2;
+  }
+  return starts;
+}
+
+function setPDFCleanupOption(name, value) {
+  pdfCleanupOptions = Object.assign({}, pdfCleanupOptions, {[name]: value});
+  localStorage.setItem('pdfCleanup', JSON.stringify(pdfCleanupOptions));
+  const view = activePDFView;
+  if (!view || !isPDFMode) return;
+  reader.stop();
+  showPDFView(view);
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  if (doc && doc.pdfView === view) doc.text = view.text;
+  updatePlayPauseUI();
+}
+
+if (pdfCleanupPanel) {
+  for (const box of pdfCleanupPanel.querySelectorAll('input[data-option]')) {
+    box.checked = !!pdfCleanupOptions[box.dataset.option];
+    box.addEventListener('change', () => setPDFCleanupOption(box.dataset.option, box.checked));
+  }
+}
+
+// Show a built PDF view and make it the text being read
+function showPDFView(view) {
+  for (const el of pdfViewer.children) el.style.display = (el === view.container) ? '' : 'none';
+  pdfViewer.style.display = 'block';
+  if (pdfToolbar) pdfToolbar.style.display = 'flex';
+  isPDFMode = true;
+  // views built (or last shown) with other cleanup options are re-cleaned first
+  if (view.cleanupKey !== JSON.stringify(pdfCleanupOptions)) applyPDFCleanup(view);
+  pdfPagesMeta = view.pagesMeta;
+  pdfSpans = view.spans;
+  clearPDFHighlight();
+  activePDFView = view;
+  observePDFPages(view);
+  applyPDFZoom();
+  showPDFLoadProgress(view);
+  // set overall text as accumulated text and allow reading; keep PDF visible
+  setTextViewer(view.text);
+}
+
+/* ---------- Pages arriving in the background ---------- */
+// The reader gets new pages at most every PDF_TEXT_UPDATE_MS (each update re-runs the outline,
+// search and annotation anchoring); right away once all are in or playback waits for them
+function schedulePDFTextUpdate(view) {
+  if (view !== activePDFView || !isPDFMode) return;
+  showPDFLoadProgress(view);
+  const now = view.complete || reader.waiting;
+  if (pdfTextUpdateTimer && !now) return;
+  clearTimeout(pdfTextUpdateTimer);
+  pdfTextUpdateTimer = setTimeout(() => {
+    pdfTextUpdateTimer = null;
+    updatePDFText(view);
+  }, now ? 0 : PDF_TEXT_UPDATE_MS);
+}
+
+function updatePDFText(view) {
+  if (view !== activePDFView || !isPDFMode || view.text === currentText) return;
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  if (doc && doc.pdfView === view) doc.text = view.text;
+  extendTextViewer(view.text);
+}
+
+// More of the active PDF's text is still to come (being extracted or not yet passed to the reader)
+function pdfTextPending() {
+  return isPDFMode && !!activePDFView && (!activePDFView.complete || activePDFView.text.length > currentText.length);
+}
+
+// Resolves once the view's text reaches pos or extraction has ended (restoring a position deep in a long PDF)
+function pdfTextReaching(view, pos) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (view.complete || view.closed || view.text.length > pos) resolve();
+      else setTimeout(check, 200);
+    };
+    check();
+  });
+}
+
+function showPDFLoadProgress(view) {
+  if (view !== activePDFView) return;
+  const loading = !view.complete;
+  const done = view.pagesMeta.length;
+  if (pdfLoadProgress) {
+    pdfLoadProgress.max = Math.max(1, view.pageCount);
+    pdfLoadProgress.value = done;
+    pdfLoadProgress.style.display = loading ? '' : 'none';
+  }
+  if (pdfLoadStatus) {
+    pdfLoadStatus.textContent = loading ? `Reading pages: ${done} of ${view.pageCount}`
+      : view.failed ? `Could not read pages after ${done} of ${view.pageCount}` : '';
+  }
+}
+
+/* ---------- Canvas rendering (lazy) ---------- */
+function renderPDFPage(view, pg) {
+  if (!pg.canvas || pg.renderedScale === view.scale) return;
+  if (pg.renderTask) pg.renderTask.cancel();
+  const scale = view.scale;
+  const viewport = pg.page.getViewport({scale});
+  const dpr = window.devicePixelRatio || 1;
+  pg.canvas.width = Math.floor(viewport.width * dpr);
+  pg.canvas.height = Math.floor(viewport.height * dpr);
+  const ctx = pg.canvas.getContext('2d');
+  if (!ctx) return;
+  pg.renderedScale = scale;
+  const task = pg.page.render({
+    canvasContext: ctx,
+    viewport,
+    transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : null
+  });
+  pg.renderTask = task;
+  task.promise.then(() => {
+    if (pg.renderTask === task) pg.renderTask = null;
+  }).catch((e) => {
+    if (pg.renderTask === task) pg.renderTask = null;
+    if (pg.renderedScale === scale) pg.renderedScale = 0;
+    if (!e || e.name !== 'RenderingCancelledException') console.error('PDF page render failed', e);
+  });
+}
+
+function observePDFPages(view) {
+  if (view.watching) return;
+  view.watching = true;
+  if (typeof IntersectionObserver !== 'undefined') {
+    view.observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const pg = view.pages[Number(entry.target.dataset.page) - 1];
+        if (pg) setPDFPageVisible(view, pg, entry.isIntersecting);
+      }
+    }, {root: pdfViewer, rootMargin: PDF_RENDER_MARGIN});
+  }
+  for (const pg of view.pages) watchPDFPage(view, pg);
+}
+
+function watchPDFPage(view, pg) {
+  if (view.observer) view.observer.observe(pg.div);
+  else setPDFPageVisible(view, pg, true); // no observer support: treat every page as visible
+}
+
+function setPDFPageVisible(view, pg, visible) {
+  pg.visible = visible;
+  if (!visible) {
+    releasePDFPage(pg);
+    return;
+  }
+  buildPDFPageLayer(view, pg);
+  if (view.scale) renderPDFPage(view, pg);
+}
+
+/* ---------- Zoom ---------- */
+function fitWidthScale(view) {
+  const maxWidth = Math.max(1, ...view.pages.map(pg => pg.width));
+  const avail = pdfViewer.clientWidth - 28; // viewer padding + page border
+  return avail > 0 ? avail / maxWidth : 1;
+}
+
+function setPDFScale(view, scale) {
+  scale = Math.max(0.25, Math.min(4, scale));
+  if (view.scale === scale) return;
+  view.scale = scale;
+  for (const pg of view.pages) {
+    sizePDFPage(pg, scale);
+    if (pg.visible) renderPDFPage(view, pg);
+  }
+}
+
+function sizePDFPage(pg, scale) {
+  pg.div.style.width = `${pg.width * scale}px`;
+  pg.div.style.height = `${pg.height * scale}px`;
+  if (pg.textLayer) pg.textLayer.style.transform = `scale(${scale})`;
+}
+
+function applyPDFZoom() {
+  const view = activePDFView;
+  if (!view || !isPDFMode) return;
+  // keep the reading position in view across zoom changes
+  const hadScale = !!view.scale;
+  const ratio = pdfViewer.scrollTop / Math.max(1, pdfViewer.scrollHeight);
+  setPDFScale(view, pdfZoomMode === 'fit' ? fitWidthScale(view) : pdfZoom);
+  if (hadScale) pdfViewer.scrollTop = ratio * pdfViewer.scrollHeight;
+  if (pdfZoomLabel) pdfZoomLabel.textContent = `${Math.round(view.scale * 100)}%`;
+  if (pdfFitWidthBtn) pdfFitWidthBtn.classList.toggle('active', pdfZoomMode === 'fit');
+  clearPDFHighlight();
+}
+
+function stepPDFZoom(dir) {
+  const current = activePDFView ? activePDFView.scale : pdfZoom;
+  const next = dir > 0
+    ? PDF_ZOOM_STEPS.find(z => z > current + 0.001)
+    : [...PDF_ZOOM_STEPS].reverse().find(z => z < current - 0.001);
+  if (!next) return;
+  pdfZoomMode = 'manual';
+  pdfZoom = next;
+  applyPDFZoom();
+}
+
+if (pdfZoomInBtn) pdfZoomInBtn.addEventListener('click', () => stepPDFZoom(1));
+if (pdfZoomOutBtn) pdfZoomOutBtn.addEventListener('click', () => stepPDFZoom(-1));
+if (pdfFitWidthBtn) {
+  pdfFitWidthBtn.addEventListener('click', () => {
+    pdfZoomMode = 'fit';
+    applyPDFZoom();
+  });
+}
+let pdfResizeTimer = null;
+window.addEventListener('resize', () => {
+  if (pdfZoomMode !== 'fit') return;
+  clearTimeout(pdfResizeTimer);
+  pdfResizeTimer = setTimeout(applyPDFZoom, 150);
+});
+
+/* ---------- Span lookup and word highlight ---------- */
+function findPDFSpanAt(idx){
+  // binary search in sorted pdfSpans
+  let lo = 0, hi = pdfSpans.length - 1, ans = null;
+  while (lo <= hi){
+    const mid = (lo + hi) >> 1;
+    const s = pdfSpans[mid];
+    if (idx < s.start) hi = mid - 1;
+    else if (idx >= s.end) lo = mid + 1;
+    else { ans = s; break; }
+  }
+  return ans;
+}
+
+// Text-layer span closest to a viewport point (for clicks between text items)
+function nearestPDFSpanAt(clientX, clientY) {
+  const target = document.elementFromPoint ? document.elementFromPoint(clientX, clientY) : null;
+  const pageDiv = target && target.closest ? target.closest('.pdf-page') : null;
+  if (!pageDiv) return null;
+  let best = null, bestDist = Infinity;
+  for (const span of pageDiv.querySelectorAll('.pdf-text-layer > span[data-char-index]')) {
+    const r = span.getBoundingClientRect();
+    const dx = Math.max(r.left - clientX, 0, clientX - r.right);
+    const dy = Math.max(r.top - clientY, 0, clientY - r.bottom);
+    const d = dx * dx + dy * dy * 4; // prefer the same line
+    if (d < bestDist) { bestDist = d; best = span; }
+  }
+  return pdfSpanForElement(best);
+}
+
+// Span of a labelled text-layer element
+function pdfSpanForElement(el) {
+  if (!el || !el.dataset || !el.dataset.charIndex || !activePDFView) return null;
+  const {page, offset} = JSON.parse(el.dataset.charIndex);
+  const pg = activePDFView.pages[page - 1];
+  return pg ? findPDFSpanAt(pg.textStart + offset) : null;
+}
+
+// Text-layer element of a span, or null while its page has no layer
+function pdfSpanElement(span) {
+  const pg = activePDFView && activePDFView.pages[span.page - 1];
+  return pg && pg.itemEls ? pg.itemEls[span.item] || null : null;
+}
+
+// Index of the first span that ends after idx (pdfSpans.length when none does)
+function pdfSpanIndexAt(idx) {
+  let lo = 0, hi = pdfSpans.length - 1, ans = pdfSpans.length;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (pdfSpans[mid].end > idx) { ans = mid; hi = mid - 1; }
+    else lo = mid + 1;
+  }
+  return ans;
+}
+
+/* ---------- Marks (search matches, annotations) ---------- */
+// Boxes over each {start, end} range. Ranges are kept per class and drawn into every page
+// layer that exists, and again whenever a page's layer is rebuilt.
+function setPDFMarks(className, ranges) {
+  for (const el of pdfViewer.querySelectorAll(`.${className}`)) el.remove();
+  if (ranges.length) pdfMarks.set(className, ranges);
+  else pdfMarks.delete(className);
+  if (!isPDFMode || !activePDFView) return;
+  for (const pg of activePDFView.pages) if (pg.textLayer) drawPDFMarks(pg, className, ranges);
+}
+
+function drawPDFPageMarks(pg) {
+  for (const [className, ranges] of pdfMarks) drawPDFMarks(pg, className, ranges);
+}
+
+function drawPDFMarks(pg, className, ranges) {
+  const meta = pdfPagesMeta[pg.pageNum - 1];
+  if (!meta) return;
+  const from = pg.textStart, to = from + meta.text.length;
+  for (const r of ranges) {
+    if (r.start < to && r.end > from) markPDFRange(Math.max(r.start, from), Math.min(r.end, to), className);
+  }
+}
+
+// Boxes over [start, end) inside the text layers, in their unscaled coordinates so they follow zoom
+function markPDFRange(start, end, className) {
+  if (!document.createRange) return;
+  for (let s = pdfSpanIndexAt(start); s < pdfSpans.length && pdfSpans[s].start < end; s++) {
+    const span = pdfSpans[s];
+    const spanEl = pdfSpanElement(span);
+    const textNode = spanEl && spanEl.firstChild;
+    const layer = spanEl && spanEl.parentElement;
+    if (!textNode || !layer) continue;
+    const a = Math.max(0, start - span.start);
+    const b = Math.min(textNode.data.length, end - span.start);
+    if (b <= a) continue;
+    const range = document.createRange();
+    range.setStart(textNode, a);
+    range.setEnd(textNode, b);
+    const r = range.getBoundingClientRect();
+    const box = layer.getBoundingClientRect();
+    const scale = layer.offsetWidth ? box.width / layer.offsetWidth : 1; // the layer is zoomed with a transform
+    const el = document.createElement('div');
+    el.className = className;
+    el.style.left = `${(r.left - box.left) / scale}px`;
+    el.style.top = `${(r.top - box.top) / scale}px`;
+    el.style.width = `${r.width / scale}px`;
+    el.style.height = `${r.height / scale}px`;
+    layer.insertBefore(el, layer.firstChild);
+  }
+}
+
+// Scroll the pages so the text at idx is in view, unless it already is (its page may have no layer)
+function revealPDFOffset(idx) {
+  const hit = findPDFSpanAt(idx);
+  const pg = hit && activePDFView ? activePDFView.pages[hit.page - 1] : null;
+  if (!pg) return;
+  const viewRect = pdfViewer.getBoundingClientRect();
+  const top = pg.div.getBoundingClientRect().top + hit.y * (activePDFView.scale || 1);
+  if (top < viewRect.top + 20 || top > viewRect.bottom - 20) pdfViewer.scrollTop += top - viewRect.top - viewRect.height / 2;
+}
+
+// Char offset for a DOM position inside a text-layer span, or null
+function pdfOffset(node, offset) {
+  const el = node && (node.nodeType === 3 ? node.parentElement : node);
+  const span = pdfSpanForElement(el);
+  if (!span) return null;
+  if (node.nodeType === 3) return Math.min(span.end, span.start + offset); // cleanup may have shortened the item
+  return offset > 0 ? span.end : span.start;
+}
+
+// [start, end) of the text selected on the rendered pages, or null
+function pdfSelectionRange() {
+  if (!isPDFMode) return null;
+  const sel = window.getSelection ? window.getSelection() : null;
+  if (!sel || sel.isCollapsed || !sel.rangeCount) return null;
+  const range = sel.getRangeAt(0);
+  if (!pdfViewer.contains(range.commonAncestorContainer)) return null;
+  const a = pdfOffset(range.startContainer, range.startOffset);
+  const b = pdfOffset(range.endContainer, range.endOffset);
+  return a === null || b === null || b <= a ? null : [a, b];
+}
+
+function clearPDFHighlight(){
+  if (pdfWordHighlight) pdfWordHighlight.style.display = 'none';
+  currentPDFSpanEl = null;
+  releaseHighlightPage(null);
+}
+
+// The highlight moves to page pg (null: gone): the page it leaves is released unless it is in
+// view, as the observer only releases pages that scroll out
+function releaseHighlightPage(pg) {
+  const prev = pdfHighlightPage;
+  pdfHighlightPage = pg;
+  if (prev && prev !== pg && !prev.visible) releasePDFPage(prev);
+}
+
+// Position the highlight rectangle over [start, end) of the global text
+function highlightPDFWord(start, end) {
+  const hit = findPDFSpanAt(start);
+  const pg = hit && activePDFView ? activePDFView.pages[hit.page - 1] : null;
+  if (!pg) return;
+  releaseHighlightPage(pg);
+  buildPDFPageLayer(activePDFView, pg); // the word may be on a page far from the viewport
+  const spanEl = pg.itemEls[hit.item];
+  const textNode = spanEl && spanEl.firstChild;
+  if (!textNode) return;
+  const pageDiv = pg.div;
+  const data = textNode.data;
+  const a = Math.max(0, Math.min(data.length, start - hit.start));
+  let b = Math.max(a, Math.min(data.length, end - hit.start));
+  // engines that report no length: extend to the end of the word
+  if (b - a <= 1) b = a + (/^\S*/.exec(data.slice(a))[0].length || 1);
+  b = Math.min(b, data.length);
+  let rect;
+  if (b > a && document.createRange) {
+    const range = document.createRange();
+    range.setStart(textNode, a);
+    range.setEnd(textNode, b);
+    rect = range.getBoundingClientRect();
+  } else {
+    rect = spanEl.getBoundingClientRect();
+  }
+  if (!pdfWordHighlight) {
+    pdfWordHighlight = document.createElement('div');
+    pdfWordHighlight.className = 'pdf-reading pdf-word-highlight';
+  }
+  if (pdfWordHighlight.parentElement !== pageDiv) pageDiv.appendChild(pdfWordHighlight);
+  const pageRect = pageDiv.getBoundingClientRect();
+  const pad = 2;
+  pdfWordHighlight.style.left = `${rect.left - pageRect.left - pageDiv.clientLeft - pad}px`;
+  pdfWordHighlight.style.top = `${rect.top - pageRect.top - pageDiv.clientTop - pad}px`;
+  pdfWordHighlight.style.width = `${rect.width + pad * 2}px`;
+  pdfWordHighlight.style.height = `${rect.height + pad * 2}px`;
+  pdfWordHighlight.style.display = 'block';
+  currentPDFSpanEl = spanEl;
+  // keep highlighted word visible, scrolling only when it leaves the viewer
+  const viewRect = pdfViewer.getBoundingClientRect();
+  if (rect.top < viewRect.top + 20 || rect.bottom > viewRect.bottom - 20) {
+    try { pdfWordHighlight.scrollIntoView({block:'center'}); } catch(_) {}
+  }
+}
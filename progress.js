@@ -0,0 +1,214 @@
+/*
+  Progress, time estimates + sleep timer
+  - The scrubber spans currentText and follows the reading position (reader.position); releasing
+    it seeks through goToCharIndex (outline.js), so playback carries on from there if it was playing.
+  - Elapsed/remaining time use the words per minute observed for the current voice, stored
+    normalized to 1× (localStorage 'readingWPM') and scaled by the speed slider.
+  - The sleep timer stops playback after N minutes or at the end of the current chapter/page,
+    fading the volume out over the last seconds.
+*/
+
+const DEFAULT_WPM = 175;            // at 1×, until a voice has been measured
+const WPM_WINDOW_MS = 15000;        // listening time per calibration sample
+const WPM_MAX_GAP_MS = 4000;        // longer gaps between words (pauses, seeks) are not counted
+const SLEEP_FADE_SECONDS = 20;
+const SLEEP_FADE_STEP_SECONDS = 5;  // engines without live volume restart at the current word per step
+let readingWPM = loadReadingWPM();  // voice name -> words per minute at 1×
+let wpmWindow = null;               // {voice, rate, words, ms, pos, at} being measured
+let wordsPerCharCache = {text: null, ratio: 0};
+let scrubbing = false;              // the scrubber is being dragged; don't move it under the pointer
+let sleepTimer = null;              // {mode: 'minutes', deadline} or {mode: 'chapter'|'page', stopAt, text}
+let sleepVolume = 1;                // multiplier on the volume slider while the sleep timer fades
+let sleepFadeStep = -1;
+const progressSlider = $('progressSlider');
+const elapsedTimeLabel = $('elapsedTime');
+const remainingTimeLabel = $('remainingTime');
+const sleepTimerSelect = $('sleepTimer');
+const sleepStatus = $('sleepStatus');
+
+function loadReadingWPM() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('readingWPM') || 'null');
+    if (saved && typeof saved === 'object') return saved;
+  } catch (_) {}
+  return {};
+}
+
+/* ---------- Estimates ---------- */
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function wordsPerChar() {
+  if (wordsPerCharCache.text !== currentText) {
+    wordsPerCharCache = {text: currentText, ratio: countWords(currentText) / Math.max(1, currentText.length)};
+  }
+  return wordsPerCharCache.ratio;
+}
+
+// Words per minute at the current speed
+function currentWPM() {
+  const voice = selectedVoice();
+  const base = (voice && readingWPM[voice.name]) || DEFAULT_WPM;
+  return base * (Number(rateSlider.value) || 1);
+}
+
+function secondsForChars(chars) {
+  return Math.max(0, chars) * wordsPerChar() / currentWPM() * 60;
+}
+
+function formatDuration(seconds) {
+  const s = Math.round(Math.max(0, seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+// Measure the speaking rate from word boundaries; samples are averaged into readingWPM
+function calibrateWPM(pos) {
+  const voice = selectedVoice();
+  const name = voice ? voice.name : '';
+  const rate = Number(rateSlider.value) || 1;
+  const now = Date.now();
+  let w = wpmWindow;
+  if (w && w.voice === name && w.rate === rate && pos > w.pos && pos - w.pos < 400 && now - w.at < WPM_MAX_GAP_MS) {
+    w.words += countWords(currentText.slice(w.pos, pos));
+    w.ms += now - w.at;
+  } else {
+    w = wpmWindow = {voice: name, rate, words: 0, ms: 0};
+  }
+  w.pos = pos;
+  w.at = now;
+  if (w.ms < WPM_WINDOW_MS) return;
+  const wpm = Math.max(60, Math.min(600, w.words / (w.ms / 60000) / rate));
+  const prev = readingWPM[name];
+  readingWPM[name] = Math.round(prev ? prev * 0.7 + wpm * 0.3 : wpm);
+  localStorage.setItem('readingWPM', JSON.stringify(readingWPM));
+  w.words = 0;
+  w.ms = 0;
+}
+
+/* ---------- Scrubber ---------- */
+function renderTimes(pos) {
+  const total = currentText.length;
+  if (elapsedTimeLabel) elapsedTimeLabel.textContent = formatDuration(secondsForChars(pos));
+  if (remainingTimeLabel) {
+    remainingTimeLabel.textContent = `-${formatDuration(secondsForChars(total - pos))}`;
+    remainingTimeLabel.title = `Estimated at ${Math.round(currentWPM())} words per minute`;
+  }
+}
+
+function updateProgress(pos = reader.position) {
+  if (!progressSlider || scrubbing) return;
+  progressSlider.max = currentText.length;
+  progressSlider.value = Math.min(pos, currentText.length);
+  progressSlider.disabled = !currentText;
+  renderTimes(pos);
+}
+
+// Called for every word boundary while speaking (script.js)
+function trackProgress(pos) {
+  calibrateWPM(pos);
+  updateProgress(pos);
+  if (sleepTimer && sleepTimer.mode !== 'minutes' && pos >= sleepTimer.stopAt) finishSleepTimer();
+}
+
+if (progressSlider) {
+  progressSlider.addEventListener('input', () => {
+    scrubbing = true;
+    renderTimes(Number(progressSlider.value));
+  });
+  progressSlider.addEventListener('change', () => {
+    scrubbing = false;
+    if (currentText) goToCharIndex(Number(progressSlider.value));
+  });
+}
+
+/* ---------- Sleep timer ---------- */
+function sleepSecondsLeft() {
+  if (!sleepTimer) return Infinity;
+  if (sleepTimer.mode === 'minutes') return (sleepTimer.deadline - Date.now()) / 1000;
+  return secondsForChars(sleepTimer.stopAt - reader.position);
+}
+
+function applySleepVolume(factor) {
+  const changed = factor !== sleepVolume;
+  sleepVolume = factor;
+  reader.setVolume(Number(volumeSlider.value) * factor);
+  if (activeEngine.liveVolume) return;
+  // Web Speech fixes an utterance's volume, so step down by restarting at the current word
+  const step = factor >= 1 ? -1 : Math.ceil((1 - factor) * SLEEP_FADE_SECONDS / SLEEP_FADE_STEP_SECONDS);
+  if (changed && step !== sleepFadeStep) {
+    sleepFadeStep = step;
+    scheduleSettingRestart();
+  }
+}
+
+function setSleepTimer(value) {
+  clearSleepTimer();
+  if (!value || value === 'off') return;
+  if (value === 'chapter' || value === 'page') {
+    const stopAt = skipTargets(value).find(s => s > reader.position);
+    sleepTimer = {mode: value, stopAt: stopAt === undefined ? currentText.length : stopAt, text: currentText};
+  } else {
+    sleepTimer = {mode: 'minutes', deadline: Date.now() + Number(value) * 60000};
+  }
+  updateSleepTimer();
+}
+
+function clearSleepTimer() {
+  sleepTimer = null;
+  if (sleepVolume !== 1) applySleepVolume(1); // restores the volume mid-fade
+  sleepFadeStep = -1;
+  if (sleepStatus) sleepStatus.textContent = '';
+}
+
+// Fade finished or the stop point was reached: pause at the current word, ready to resume
+function finishSleepTimer() {
+  const timer = sleepTimer;
+  const at = timer && timer.mode !== 'minutes' && timer.text === currentText
+    ? Math.min(timer.stopAt, reader.position)
+    : reader.position;
+  sleepTimer = null;
+  sleepFadeStep = -1;
+  sleepVolume = 1;
+  if (sleepTimerSelect) sleepTimerSelect.value = 'off';
+  if (isPlaying) {
+    reader.stop(at);
+    saveActivePosition(); // library.js
+  }
+  reader.setVolume(Number(volumeSlider.value));
+  if (sleepStatus) sleepStatus.textContent = 'Stopped by sleep timer';
+}
+
+function updateSleepTimer() {
+  if (!sleepTimer) return;
+  if (sleepTimer.mode !== 'minutes' && sleepTimer.text !== currentText) {
+    finishSleepTimer(); // the queue moved on to the next document
+    return;
+  }
+  const left = sleepSecondsLeft();
+  if (left <= 0) {
+    finishSleepTimer();
+    return;
+  }
+  if (sleepStatus) sleepStatus.textContent = `${sleepTimer.mode === 'minutes' ? '' : '~'}${formatDuration(left)} left`;
+  if (isPlaying && left <= SLEEP_FADE_SECONDS) applySleepVolume(Math.max(0.05, left / SLEEP_FADE_SECONDS));
+}
+
+// Chapter/page options follow the skip controls (outline.js)
+function updateSleepOptions() {
+  if (!sleepTimerSelect) return;
+  for (const opt of sleepTimerSelect.options) {
+    opt.disabled = (opt.value === 'page' && !isPDFMode) || (opt.value === 'chapter' && !outlineEntries.length);
+  }
+}
+
+if (sleepTimerSelect) sleepTimerSelect.addEventListener('change', () => setSleepTimer(sleepTimerSelect.value));
+
+// Positions change outside boundary events too (seeks, new documents, pauses)
+setInterval(() => {
+  updateProgress();
+  updateSleepTimer();
+}, 1000);
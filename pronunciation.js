@@ -0,0 +1,252 @@
+/*
+  Pronunciation dictionary + normalization settings
+  - User rules (literal or regex find → replace) and the built-in toggles of normalize.js,
+    saved in localStorage 'pronunciation' and editable in the Pronunciation dialog.
+  - normalizeForSpeech() is the page reader's normalize hook (script.js, called by
+    Reader.speakRun for every utterance) and what audio export calls; rules are compiled once
+    per change, not per utterance.
+  - Rules can be exported/imported as JSON ({version, options, entries} or a bare entry list).
+*/
+
+let pronunciation = loadPronunciation(); // {options, entries: [{find, replace, regex, caseSensitive, wholeWord}]}
+let compiledPronunciation = null;
+const pronunciationModal = $('pronunciationModal');
+const pronunciationBtn = $('pronunciationBtn');
+const pronunciationRows = $('pronunciationRows');
+const pronunciationOptions = $('pronunciationOptions');
+const addPronunciationBtn = $('addPronunciationBtn');
+const importPronunciationBtn = $('importPronunciationBtn');
+const importPronunciationInput = $('importPronunciationInput');
+const exportPronunciationBtn = $('exportPronunciationBtn');
+const closePronunciationBtn = $('closePronunciationBtn');
+const closePronunciationFooter = $('closePronunciationFooter');
+const pronunciationSample = $('pronunciationSample');
+const pronunciationPreview = $('pronunciationPreview');
+
+const NORMALIZE_OPTION_LABELS = {
+  citations: 'Skip bracketed citations ([12], [citation needed])',
+  urls: 'Read web addresses as "link"',
+  abbreviations: 'Expand abbreviations (e.g., i.e., etc., vs.)',
+  units: 'Spell out units after numbers (5 km, 20 °C)'
+};
+
+function sanitizePronunciationEntry(e) {
+  return {
+    find: String(e.find || ''),
+    replace: String(e.replace || ''),
+    regex: !!e.regex,
+    caseSensitive: !!e.caseSensitive,
+    wholeWord: e.wholeWord !== false
+  };
+}
+
+function loadPronunciation() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('pronunciation') || 'null');
+    if (saved && typeof saved === 'object') {
+      return {
+        options: Object.assign({}, NORMALIZE_DEFAULTS, saved.options || {}),
+        entries: Array.isArray(saved.entries) ? saved.entries.map(sanitizePronunciationEntry) : []
+      };
+    }
+  } catch (_) {}
+  return {options: Object.assign({}, NORMALIZE_DEFAULTS), entries: []};
+}
+
+// Persist, recompile and restart the current utterance so the change is heard right away
+function savePronunciation() {
+  localStorage.setItem('pronunciation', JSON.stringify(pronunciation));
+  compiledPronunciation = null;
+  updatePronunciationPreview();
+  scheduleSettingRestart(); // script.js
+}
+
+/** Normalized text + offset map for `text` under the current dictionary (see normalize.js). */
+function normalizeForSpeech(text) {
+  if (!compiledPronunciation) compiledPronunciation = compileNormalizeRules(pronunciation.entries, pronunciation.options);
+  return normalizeText(text, compiledPronunciation);
+}
+
+/* ---------- Dialog ---------- */
+function renderPronunciationOptions() {
+  if (!pronunciationOptions) return;
+  pronunciationOptions.innerHTML = '';
+  for (const [key, text] of Object.entries(NORMALIZE_OPTION_LABELS)) {
+    const label = document.createElement('label');
+    label.className = 'small';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !!pronunciation.options[key];
+    box.addEventListener('change', () => {
+      pronunciation.options[key] = box.checked;
+      savePronunciation();
+    });
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(' ' + text));
+    pronunciationOptions.appendChild(label);
+  }
+}
+
+function pronunciationCheckbox(entry, key, text, row) {
+  const label = document.createElement('label');
+  label.className = 'small';
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.checked = !!entry[key];
+  box.addEventListener('change', () => {
+    entry[key] = box.checked;
+    markInvalidPronunciation(row, entry);
+    savePronunciation();
+  });
+  label.appendChild(box);
+  label.appendChild(document.createTextNode(' ' + text));
+  return label;
+}
+
+function markInvalidPronunciation(row, entry) {
+  const invalid = !!entry.find && !compileDictionaryEntry(entry);
+  row.classList.toggle('invalid', invalid);
+  row.title = invalid ? 'This regular expression is not valid and is ignored' : '';
+}
+
+function renderPronunciationRows() {
+  if (!pronunciationRows) return;
+  pronunciationRows.innerHTML = '';
+  if (!pronunciation.entries.length) {
+    pronunciationRows.innerHTML = '<div class="small-muted">No rules yet. Add one to change how a word is spoken.</div>';
+    return;
+  }
+  pronunciation.entries.forEach((entry, i) => {
+    const row = document.createElement('div');
+    row.className = 'pronunciation-row';
+    const find = document.createElement('input');
+    find.type = 'text';
+    find.placeholder = entry.regex ? 'Pattern' : 'Word or phrase';
+    find.value = entry.find;
+    find.setAttribute('aria-label', 'Find');
+    const replace = document.createElement('input');
+    replace.type = 'text';
+    replace.placeholder = 'Say instead';
+    replace.value = entry.replace;
+    replace.setAttribute('aria-label', 'Replace with');
+    find.addEventListener('change', () => {
+      entry.find = find.value;
+      markInvalidPronunciation(row, entry);
+      savePronunciation();
+    });
+    replace.addEventListener('change', () => {
+      entry.replace = replace.value;
+      savePronunciation();
+    });
+    const flags = document.createElement('div');
+    flags.className = 'pronunciation-flags';
+    flags.appendChild(pronunciationCheckbox(entry, 'regex', 'Regex', row));
+    flags.appendChild(pronunciationCheckbox(entry, 'caseSensitive', 'Match case', row));
+    flags.appendChild(pronunciationCheckbox(entry, 'wholeWord', 'Whole word', row));
+    const remove = document.createElement('button');
+    remove.className = 'btn ghost icon';
+    remove.title = 'Remove rule';
+    remove.setAttribute('aria-label', 'Remove rule');
+    remove.innerHTML = '<i class="fa fa-trash"></i>';
+    remove.addEventListener('click', () => {
+      pronunciation.entries.splice(i, 1);
+      savePronunciation();
+      renderPronunciationRows();
+    });
+    row.appendChild(find);
+    row.appendChild(replace);
+    row.appendChild(flags);
+    row.appendChild(remove);
+    markInvalidPronunciation(row, entry);
+    pronunciationRows.appendChild(row);
+  });
+}
+
+function updatePronunciationPreview() {
+  if (!pronunciationPreview || !pronunciationSample) return;
+  pronunciationPreview.textContent = normalizeForSpeech(pronunciationSample.value).text;
+}
+
+function openPronunciation() {
+  if (!pronunciationModal) return;
+  // preview the selected passage, if any
+  const [a, b] = selectedTextRange(); // read-along.js
+  if (pronunciationSample && b > a) pronunciationSample.value = currentText.slice(a, b).slice(0, 1000);
+  renderPronunciationOptions();
+  renderPronunciationRows();
+  updatePronunciationPreview();
+  pronunciationModal.style.display = 'flex';
+  pronunciationModal.setAttribute('aria-hidden', 'false');
+}
+
+function closePronunciation() {
+  if (!pronunciationModal) return;
+  pronunciationModal.style.display = 'none';
+  pronunciationModal.setAttribute('aria-hidden', 'true');
+}
+
+/* ---------- Import / export ---------- */
+function exportPronunciation() {
+  const data = {version: 1, options: pronunciation.options, entries: pronunciation.entries};
+  const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'pronunciation.json';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+}
+
+// Imported rules are added to the existing ones (same find text: the imported rule wins)
+async function importPronunciation(file) {
+  let data;
+  try {
+    data = JSON.parse(await readFileAsText(file));
+  } catch (e) {
+    alert('That file is not valid JSON.');
+    return;
+  }
+  const entries = Array.isArray(data) ? data : data && Array.isArray(data.entries) ? data.entries : null;
+  if (!entries) {
+    alert('No pronunciation rules found in that file.');
+    return;
+  }
+  const imported = entries.filter(e => e && typeof e.find === 'string' && e.find).map(sanitizePronunciationEntry);
+  const replaced = new Set(imported.map(e => e.find));
+  pronunciation.entries = pronunciation.entries.filter(e => !replaced.has(e.find)).concat(imported);
+  if (!Array.isArray(data) && data.options) Object.assign(pronunciation.options, data.options);
+  savePronunciation();
+  renderPronunciationOptions();
+  renderPronunciationRows();
+}
+
+if (pronunciationBtn) pronunciationBtn.addEventListener('click', openPronunciation);
+if (closePronunciationBtn) closePronunciationBtn.addEventListener('click', closePronunciation);
+if (closePronunciationFooter) closePronunciationFooter.addEventListener('click', closePronunciation);
+if (pronunciationModal) {
+  pronunciationModal.addEventListener('click', (e) => {
+    if (e.target === pronunciationModal) closePronunciation();
+  });
+  pronunciationModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePronunciation();
+  });
+}
+if (addPronunciationBtn) {
+  addPronunciationBtn.addEventListener('click', () => {
+    pronunciation.entries.push(sanitizePronunciationEntry({}));
+    renderPronunciationRows();
+    const inputs = pronunciationRows.querySelectorAll('.pronunciation-row input[type="text"]');
+    if (inputs.length) inputs[inputs.length - 2].focus();
+  });
+}
+if (exportPronunciationBtn) exportPronunciationBtn.addEventListener('click', exportPronunciation);
+if (importPronunciationBtn && importPronunciationInput) {
+  importPronunciationBtn.addEventListener('click', () => importPronunciationInput.click());
+  importPronunciationInput.addEventListener('change', () => {
+    const file = importPronunciationInput.files[0];
+    importPronunciationInput.value = '';
+    if (file) importPronunciation(file);
+  });
+}
+if (pronunciationSample) pronunciationSample.addEventListener('input', updatePronunciationPreview);
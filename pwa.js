@@ -0,0 +1,58 @@
+/*
+  Installable app (PWA)
+  - Registers sw.js, which keeps the reader working offline.
+  - Files opened with the installed app from the OS (manifest file_handlers) arrive through
+    launchQueue; text, links and files shared to it (share_target) arrive as URL parameters
+    plus files the service worker parked in a cache. Both are added to the library.
+*/
+
+const SHARED_FILES_CACHE = 'reader-shared-files'; // written by sw.js
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register('./sw.js').catch(e => console.warn('Service worker registration failed', e));
+}
+
+async function takeSharedFiles() {
+  if (typeof caches === 'undefined') return [];
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const files = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    await cache.delete(request);
+    if (!response) continue;
+    const blob = await response.blob();
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared');
+    files.push(new File([blob], name, {type: blob.type}));
+  }
+  return files;
+}
+
+// Shared text becomes a .txt document named after the shared title
+function sharedTextFile(params) {
+  const text = [params.get('text'), params.get('url')].filter(Boolean).join('\n\n');
+  if (!text.trim()) return null;
+  const title = (params.get('title') || '').replace(/[\\/:*?"<>|\n]+/g, ' ').trim().slice(0, 80) || 'Shared text';
+  return new File([text], `${title}.txt`, {type: 'text/plain'});
+}
+
+async function receiveSharedItems() {
+  const params = new URLSearchParams(location.search);
+  if (!params.has('share-target')) return;
+  history.replaceState(null, '', location.pathname); // a reload must not import it again
+  const files = await takeSharedFiles();
+  const textFile = sharedTextFile(params);
+  if (textFile) files.push(textFile);
+  if (files.length) await addFilesToLibrary(files);
+}
+
+if ('launchQueue' in window) {
+  window.launchQueue.setConsumer(async (launchParams) => {
+    if (!launchParams.files || !launchParams.files.length) return;
+    const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+    await addFilesToLibrary(files);
+  });
+}
+
+registerServiceWorker();
+receiveSharedItems().catch(e => console.warn('Could not open shared items', e));
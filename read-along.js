@@ -0,0 +1,379 @@
+/*
+  Read-along view
+  - A rendered, non-editable copy of currentText shown in place of the textarea (which stays
+    available under "Edit text"). One block per paragraph, each a single text node, so char
+    offsets map straight to DOM positions.
+  - The current sentence and the current word get highlight rectangles measured from Ranges,
+    drawn under the text like the PDF word highlight (pdf-view.js).
+  - Follows the spoken word with smooth scrolling; scrolling by hand pauses that until
+    "Back to current" or a jump.
+  - Typography (font, size, line spacing, OpenDyslexic, focus line) lives in localStorage
+    'readAlongStyle'; the chosen view in 'readerView'.
+*/
+
+const READ_ALONG_STYLE_DEFAULTS = {
+  font: 'sans',       // sans | serif | mono | dyslexic
+  size: 18,           // px
+  lineHeight: 1.7,
+  focusLine: false    // dim everything but the line being read
+};
+const READ_ALONG_SCROLL_KEYS = new Set(['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' ']);
+let readerView = localStorage.getItem('readerView') === 'edit' ? 'edit' : 'read';
+let readAlongStyle = loadReadAlongStyle();
+let readAlongBlocks = []; // {start, end, node} per paragraph, sorted by start
+let readAlongStarts = []; // readAlongBlocks[i].start, for binary search
+let readAlongText = null; // text the blocks were rendered from
+let readAlongCurrent = null; // {start, end} of the highlighted word
+let readAlongSentence = null; // {start, end} of the highlighted sentence
+let readAlongScrollPaused = false;
+const readAlongWrap = $('readAlongWrap');
+const readAlong = $('readAlong');
+const readAlongResumeBtn = $('readAlongResumeBtn');
+const readAlongViewBtn = $('readAlongViewBtn');
+const editViewBtn = $('editViewBtn');
+const readAlongStylePanel = $('readAlongStylePanel');
+
+function loadReadAlongStyle() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('readAlongStyle') || 'null');
+    if (saved && typeof saved === 'object') return Object.assign({}, READ_ALONG_STYLE_DEFAULTS, saved);
+  } catch (_) {}
+  return Object.assign({}, READ_ALONG_STYLE_DEFAULTS);
+}
+
+/* ---------- Rendering ---------- */
+function renderReadAlong() {
+  if (!readAlong || readAlongText === currentText) return;
+  // paragraphs appended to the text (PDF pages arriving) are added to the blocks already shown
+  const from = textAppendedAfter(readAlongText);
+  readAlongText = currentText;
+  if (!from) {
+    readAlongBlocks = [];
+    readAlongCurrent = null;
+    readAlongSentence = null;
+    readAlong.innerHTML = '';
+    const marks = document.createElement('div');
+    marks.className = 'read-along-marks';
+    marks.setAttribute('aria-hidden', 'true');
+    readAlong.appendChild(marks);
+  }
+  const frag = document.createDocumentFragment();
+  const re = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g; // paragraphs = runs of non-blank lines
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(currentText))) {
+    if (!m[0].trim()) continue;
+    const p = document.createElement('p');
+    p.className = 'read-along-block';
+    p.dataset.start = m.index;
+    const node = document.createTextNode(m[0]);
+    p.appendChild(node);
+    frag.appendChild(p);
+    readAlongBlocks.push({start: m.index, end: m.index + m[0].length, node});
+  }
+  readAlong.appendChild(frag);
+  readAlongStarts = readAlongBlocks.map(b => b.start);
+}
+
+function readAlongActive() {
+  return !!readAlongWrap && readAlongWrap.style.display !== 'none';
+}
+
+// Read-along when chosen and there is text; the textarea otherwise (pasting into an empty reader)
+function applyReaderView() {
+  if (!readAlongWrap) return;
+  const read = readerView === 'read' && !!currentText;
+  if (read) renderReadAlong();
+  if (read && !readAlongActive()) readAlongSentence = null; // hidden views don't track layout
+  readAlongWrap.style.display = read ? '' : 'none';
+  pasteBox.style.display = read ? 'none' : '';
+  if (readAlongViewBtn) {
+    readAlongViewBtn.classList.toggle('active', read);
+    readAlongViewBtn.setAttribute('aria-pressed', String(read));
+    readAlongViewBtn.disabled = !currentText;
+  }
+  if (editViewBtn) {
+    editViewBtn.classList.toggle('active', !read);
+    editViewBtn.setAttribute('aria-pressed', String(!read));
+  }
+  if (readAlongStylePanel) readAlongStylePanel.style.display = read ? '' : 'none';
+  if (typeof placeReadAlongMatches === 'function') placeReadAlongMatches(); // search.js
+  if (typeof placeAnnotationMarks === 'function') placeAnnotationMarks(); // annotations.js
+}
+
+function setReaderView(view) {
+  readerView = view;
+  localStorage.setItem('readerView', view);
+  applyReaderView();
+  if (readAlongActive()) {
+    resumeReadAlongScroll();
+    highlightReadAlong(reader.position, reader.position + 1);
+  } else {
+    clearReadAlongHighlight();
+  }
+}
+
+/* ---------- Offsets <-> DOM ---------- */
+// Client rects of currentText[start, end), one Range per paragraph block
+function readAlongRects(start, end) {
+  const rects = [];
+  if (!readAlongBlocks.length || end <= start || !document.createRange) return rects;
+  for (let i = findChunkIndex(readAlongStarts, start); i < readAlongBlocks.length && readAlongBlocks[i].start < end; i++) {
+    const b = readAlongBlocks[i];
+    const a = Math.max(start, b.start) - b.start;
+    const z = Math.min(end, b.end) - b.start;
+    if (z <= a) continue;
+    const range = document.createRange();
+    range.setStart(b.node, a);
+    range.setEnd(b.node, z);
+    for (const r of range.getClientRects()) if (r.width && r.height) rects.push(r);
+  }
+  return rects;
+}
+
+// Char offset for a DOM position inside the view, or null
+function readAlongOffset(node, offset) {
+  if (!node) return null;
+  const block = node.nodeType === 3 ? node.parentElement : node;
+  if (!block || !block.classList || !block.classList.contains('read-along-block')) return null;
+  const start = Number(block.dataset.start);
+  if (node.nodeType === 3) return start + offset;
+  return offset > 0 ? start + block.textContent.length : start;
+}
+
+function readAlongOffsetAt(x, y) {
+  if (document.caretPositionFromPoint) {
+    const p = document.caretPositionFromPoint(x, y);
+    if (p) return readAlongOffset(p.offsetNode, p.offset);
+  } else if (document.caretRangeFromPoint) {
+    const r = document.caretRangeFromPoint(x, y);
+    if (r) return readAlongOffset(r.startContainer, r.startOffset);
+  }
+  return null;
+}
+
+// [start, end) of the text selected on a PDF page (pdf-view.js) or in whichever view is shown
+function selectedTextRange() {
+  const pdf = pdfSelectionRange();
+  if (pdf) return pdf;
+  if (!readAlongActive()) return [pasteBox.selectionStart || 0, pasteBox.selectionEnd || 0];
+  const sel = window.getSelection ? window.getSelection() : null;
+  if (!sel || sel.isCollapsed || !sel.rangeCount) return [0, 0];
+  const range = sel.getRangeAt(0);
+  const a = readAlongOffset(range.startContainer, range.startOffset);
+  const b = readAlongOffset(range.endContainer, range.endOffset);
+  return a === null || b === null ? [0, 0] : [a, b];
+}
+
+// Char range of the paragraphs on screen, give or take a screen
+function readAlongVisibleRange() {
+  if (!readAlongBlocks.length) return [0, 0];
+  const box = readAlong.getBoundingClientRect();
+  const top = box.top - box.height;
+  const bottom = box.bottom + box.height;
+  const blockRect = i => readAlongBlocks[i].node.parentElement.getBoundingClientRect();
+  let lo = 0, hi = readAlongBlocks.length - 1, first = readAlongBlocks.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (blockRect(mid).bottom >= top) { first = mid; hi = mid - 1; }
+    else lo = mid + 1;
+  }
+  let last = first;
+  while (last + 1 < readAlongBlocks.length && blockRect(last + 1).top <= bottom) last++;
+  return [readAlongBlocks[first].start, readAlongBlocks[last].end];
+}
+
+/* ---------- Highlights ---------- */
+function sentenceAround(pos) {
+  const starts = sentenceStarts(); // outline.js
+  if (!starts.length) return {start: 0, end: currentText.length};
+  const i = findChunkIndex(starts, pos);
+  let end = i + 1 < starts.length ? starts[i + 1] : currentText.length;
+  while (end > starts[i] && /\s/.test(currentText[end - 1])) end--;
+  return {start: starts[i], end};
+}
+
+// Absolutely positioned boxes inside the scrolling view (so they scroll with the text)
+function placeMarks(className, rects, pad) {
+  const layer = readAlong.querySelector('.read-along-marks');
+  const existing = layer.querySelectorAll(`.${className}`);
+  const box = readAlong.getBoundingClientRect();
+  const left = readAlong.scrollLeft - box.left - readAlong.clientLeft;
+  const top = readAlong.scrollTop - box.top - readAlong.clientTop;
+  rects.forEach((r, i) => {
+    let el = existing[i];
+    if (!el) {
+      el = document.createElement('div');
+      el.className = className;
+      layer.appendChild(el);
+    }
+    el.style.left = `${r.left + left - pad}px`;
+    el.style.top = `${r.top + top - pad}px`;
+    el.style.width = `${r.width + pad * 2}px`;
+    el.style.height = `${r.height + pad * 2}px`;
+    el.style.display = 'block';
+  });
+  for (let i = rects.length; i < existing.length; i++) existing[i].style.display = 'none';
+}
+
+// Dim everything above and below the line of the current word
+function placeFocusMasks(wordRect) {
+  const rects = [];
+  if (readAlongStyle.focusLine && wordRect) {
+    const box = readAlong.getBoundingClientRect();
+    const lead = Math.max(0, (parseFloat(getComputedStyle(readAlong).lineHeight) || wordRect.height) - wordRect.height);
+    const lineTop = wordRect.top - lead / 2;
+    const lineBottom = wordRect.bottom + lead / 2;
+    // client coordinates of the top-left corner of the scrolled content
+    const left = box.left + readAlong.clientLeft - readAlong.scrollLeft;
+    const top = box.top + readAlong.clientTop - readAlong.scrollTop;
+    const width = readAlong.scrollWidth;
+    rects.push({left, top, width, height: lineTop - top});
+    rects.push({left, top: lineBottom, width, height: top + readAlong.scrollHeight - lineBottom});
+  }
+  placeMarks('read-along-mask', rects.filter(r => r.height > 0), 0);
+}
+
+function followWord(rect) {
+  if (readAlongScrollPaused || !rect) return;
+  const box = readAlong.getBoundingClientRect();
+  const h = readAlong.clientHeight;
+  const y = rect.top - box.top;
+  if (y > h * 0.2 && y + rect.height < h * 0.7) return; // still in the middle band
+  const top = Math.max(0, readAlong.scrollTop + y - h * 0.4);
+  const reduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (readAlong.scrollTo) readAlong.scrollTo({top, behavior: reduce ? 'auto' : 'smooth'});
+  else readAlong.scrollTop = top;
+}
+
+// Called for every word boundary while the view is shown (script.js)
+function highlightReadAlong(start, end) {
+  if (!readAlongActive()) return;
+  renderReadAlong();
+  // engines that report no length: extend to the end of the word
+  if (end - start <= 1) end = start + (/^\S*/.exec(currentText.slice(start, start + 64))[0].length || 1);
+  readAlongCurrent = {start, end};
+  const sentence = sentenceAround(start);
+  if (!readAlongSentence || readAlongSentence.start !== sentence.start || readAlongSentence.end !== sentence.end) {
+    readAlongSentence = sentence;
+    placeMarks('read-along-sentence', readAlongRects(sentence.start, sentence.end), 1);
+  }
+  const word = readAlongRects(start, end)[0] || null;
+  placeMarks('read-along-word', word ? [word] : [], 2);
+  placeFocusMasks(word);
+  followWord(word);
+}
+
+function clearReadAlongHighlight() {
+  readAlongCurrent = null;
+  readAlongSentence = null;
+  resumeReadAlongScroll();
+  if (!readAlong) return;
+  // search matches and annotations stay
+  for (const el of readAlong.querySelectorAll('.read-along-sentence, .read-along-word, .read-along-mask')) el.style.display = 'none';
+}
+
+// Re-measure after layout changes (window size, typography)
+function refreshReadAlongHighlight() {
+  if (readAlongCurrent && readAlongActive()) {
+    const {start, end} = readAlongCurrent;
+    const paused = readAlongScrollPaused;
+    readAlongSentence = null; // its line boxes moved too
+    readAlongScrollPaused = true; // keep the scroll position the reader chose
+    highlightReadAlong(start, end);
+    readAlongScrollPaused = paused;
+  }
+}
+
+// Show a passage (e.g. a search match); while playing, following the voice pauses
+function scrollReadAlongTo(start, end) {
+  if (!readAlongActive()) return;
+  const rect = readAlongRects(start, end)[0];
+  if (!rect) return;
+  pauseReadAlongScroll();
+  const box = readAlong.getBoundingClientRect();
+  readAlong.scrollTop = Math.max(0, readAlong.scrollTop + rect.top - box.top - readAlong.clientHeight / 2);
+}
+
+/* ---------- Manual scrolling ---------- */
+function pauseReadAlongScroll() {
+  if (readAlongScrollPaused || !isPlaying) return;
+  readAlongScrollPaused = true;
+  if (readAlongResumeBtn) readAlongResumeBtn.style.display = '';
+}
+
+function resumeReadAlongScroll() {
+  readAlongScrollPaused = false;
+  if (readAlongResumeBtn) readAlongResumeBtn.style.display = 'none';
+}
+
+if (readAlong) {
+  readAlong.addEventListener('wheel', pauseReadAlongScroll, {passive: true});
+  readAlong.addEventListener('touchmove', pauseReadAlongScroll, {passive: true});
+  readAlong.addEventListener('pointerdown', (e) => {
+    if (e.target === readAlong && e.offsetX >= readAlong.clientWidth) pauseReadAlongScroll(); // dragging the scrollbar
+  });
+  readAlong.addEventListener('keydown', (e) => {
+    if (!READ_ALONG_SCROLL_KEYS.has(e.key)) return;
+    // keys bound to shortcuts (controls.js) are handled after this and don't scroll
+    setTimeout(() => { if (!e.defaultPrevented) pauseReadAlongScroll(); }, 0);
+  });
+  readAlong.addEventListener('dblclick', (ev) => {
+    let idx = readAlongOffsetAt(ev.clientX, ev.clientY);
+    if (idx === null) {
+      const [a, b] = selectedTextRange(); // the word the double-click selected
+      if (b > a) idx = a;
+    }
+    if (idx === null || !currentText) return;
+    resumeReadAlongScroll();
+    jumpToCharIndex(idx);
+  });
+}
+
+if (readAlongResumeBtn) {
+  readAlongResumeBtn.addEventListener('click', () => {
+    resumeReadAlongScroll();
+    if (readAlongCurrent) highlightReadAlong(readAlongCurrent.start, readAlongCurrent.end);
+  });
+}
+
+/* ---------- View toggle + typography ---------- */
+function applyReadAlongStyle() {
+  if (!readAlong) return;
+  readAlong.dataset.font = readAlongStyle.font;
+  readAlong.style.setProperty('--read-along-size', `${readAlongStyle.size}px`);
+  readAlong.style.setProperty('--read-along-line', String(readAlongStyle.lineHeight));
+  readAlong.classList.toggle('focus-line', !!readAlongStyle.focusLine);
+  refreshReadAlongHighlight();
+}
+
+function setReadAlongStyle(key, value) {
+  readAlongStyle[key] = value;
+  localStorage.setItem('readAlongStyle', JSON.stringify(readAlongStyle));
+  applyReadAlongStyle();
+}
+
+if (readAlongViewBtn) readAlongViewBtn.addEventListener('click', () => setReaderView('read'));
+if (editViewBtn) editViewBtn.addEventListener('click', () => setReaderView('edit'));
+if (readAlongStylePanel) {
+  for (const input of readAlongStylePanel.querySelectorAll('[data-style]')) {
+    const key = input.dataset.style;
+    if (input.type === 'checkbox') input.checked = !!readAlongStyle[key];
+    else input.value = readAlongStyle[key];
+    input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+      const value = input.type === 'checkbox' ? input.checked : input.type === 'range' ? Number(input.value) : input.value;
+      setReadAlongStyle(key, value);
+    });
+  }
+}
+
+let readAlongResizeTimer = null;
+window.addEventListener('resize', () => {
+  clearTimeout(readAlongResizeTimer);
+  readAlongResizeTimer = setTimeout(refreshReadAlongHighlight, 100);
+});
+// the dyslexia-friendly font loads on first use and changes line breaks when it arrives
+if (document.fonts && document.fonts.addEventListener) document.fonts.addEventListener('loadingdone', refreshReadAlongHighlight);
+
+applyReadAlongStyle();
+applyReaderView();
@@ -0,0 +1,330 @@
+/*
+  Reader core
+  - The reader's text model, chunking, playback state machine and page mapping without any DOM.
+    The page (script.js) plays through one Reader; <tts-reader> (tts-reader.js) wraps another.
+  - A Reader is an EventTarget: load(source), append(text), play(), pause(), stop(at), seek(pos),
+    restart(), setVoice(voice), setRate(rate), setVolume(volume), setEngine(engine),
+    setChunkSize(size). Events are CustomEvents with the data in detail:
+      load        {text, chunks, pages}
+      chunkstart  {index, start, end} — a chunk (or the rest of one) starts being spoken
+      utterance   {start, end, text} — one utterance handed to the engine, text as spoken
+      boundary    {start, end, page} — the word being spoken, as offsets into the loaded text
+      chunkend    {index, start, end}
+      waiting     {position} — out of text while moreText() says more is on its way (append)
+      statechange {state, previous} — 'idle' | 'playing' | 'paused' | 'ended'
+      error       {error} — the engine failed; playback stops at the last word reached
+  - Speaks through any engine with the engines.js surface (webSpeechEngine by default), so it
+    runs headless with a fake speechSynthesis (reader-core.test.js). Needs segmenter.js;
+    normalize.js is optional.
+  - Chunks are spoken from the position to the chunk's end, one utterance per voice run.
+  - Readers sharing an engine (the page and any <tts-reader> all default to webSpeechEngine):
+    the one that starts speaking wins, and the reader it cut off stops at its last word
+    (statechange to 'idle'). A reader only cancels speech it started, so loading, seeking or
+    stopping one never silences another.
+*/
+
+const READER_CHUNK_SIZE = 3000;
+const READER_STATES = ['idle', 'playing', 'paused', 'ended'];
+const engineSpeakers = new WeakMap(); // engine -> the Reader whose speech it is playing
+
+class Reader extends EventTarget {
+  /**
+   * options: {engine, chunkSize, normalize, voiceRuns, playRange, moreText, gap}
+   * normalize(text) -> {text, segments} rewrites text before it is spoken (normalize.js);
+   * by default the built-in normalize.js rules are used when that file is loaded.
+   * voiceRuns(start, end) -> [{start, end, voice}] splits a stretch into utterances by voice
+   * (default: one run in the reader's voice).
+   * playRange(pos) -> {start, end} limits playback from pos to that stretch, null when nothing
+   * is left to play, undefined for no limit.
+   * moreText() -> true while text is still being added: playback waits at the end for append().
+   * gap: ms between chunks.
+   */
+  constructor(options = {}) {
+    super();
+    this.engine = options.engine || webSpeechEngine;
+    this.chunkSize = options.chunkSize || READER_CHUNK_SIZE;
+    this.normalize = options.normalize || defaultReaderNormalize();
+    this.voiceRuns = options.voiceRuns || null;
+    this.playRange = options.playRange || null;
+    this.moreText = options.moreText || null;
+    this.gap = options.gap || 0;
+    this.voice = null; // voice object or name (resolved when speaking: voices load asynchronously)
+    this.rate = 1;
+    this.volume = 1;
+    this.text = '';
+    this.chunks = [];
+    this.starts = [];
+    this.pages = []; // {pageNum, start, end}
+    this.pageStarts = [];
+    this.index = 0; // chunk being spoken
+    this.position = 0; // char offset playback continues from (the last word reached)
+    this.state = 'idle';
+    this.waiting = false; // out of text, waiting for append()
+    this.timer = null; // the next chunk, due after the gap
+    this.run = 0; // increments per chunk so a replaced one never advances playback
+  }
+
+  /* ---------- Text model ---------- */
+  // source: a string, or {pages: [{pageNum, text}]} for paged text (PDFs); pages are joined
+  // with a blank line, like the page view's text
+  load(source) {
+    this.halt();
+    let text = '';
+    this.pages = [];
+    if (typeof source === 'string') {
+      text = source;
+    } else if (source && Array.isArray(source.pages)) {
+      source.pages.forEach((p, i) => {
+        const start = text.length;
+        text += (p.text || '') + '\n\n';
+        this.pages.push({pageNum: p.pageNum || i + 1, start, end: start + (p.text || '').length});
+      });
+    } else if (source && typeof source.text === 'string') {
+      text = source.text;
+    }
+    this.text = text;
+    this.pageStarts = this.pages.map(p => p.start);
+    this.buildChunks();
+    this.index = 0;
+    this.position = 0;
+    this.emit('load', {text, chunks: this.chunks.length, pages: this.pages.length});
+    this.setState('idle');
+  }
+
+  // More text after the loaded text (pages still arriving), without moving the position;
+  // playback waiting at the old end carries on
+  append(more) {
+    if (!more) return;
+    const from = this.text.length;
+    this.text += more;
+    // the old text ends at a chunk boundary, so the new chunks simply follow
+    const table = buildChunkTable(more, this.chunkSize);
+    this.chunks = this.chunks.concat(table.chunks);
+    this.starts = this.starts.concat(table.starts.map(s => s + from));
+    if (this.waiting && this.state === 'playing') this.speakFrom(this.position);
+  }
+
+  buildChunks() {
+    const table = buildChunkTable(this.text, this.chunkSize);
+    this.chunks = table.chunks;
+    this.starts = table.starts;
+  }
+
+  // Global char offset where chunk i begins (end of text past the last chunk)
+  chunkStart(i) {
+    return i < this.starts.length ? this.starts[i] : this.text.length;
+  }
+
+  // Page number of a char offset (null for text without pages)
+  pageAt(pos) {
+    if (!this.pages.length) return null;
+    return this.pages[findChunkIndex(this.pageStarts, pos)].pageNum;
+  }
+
+  /* ---------- Playback ---------- */
+  play() {
+    if (!this.text.trim() || this.state === 'playing') return;
+    if (this.state === 'paused' && this.engine.paused) {
+      this.engine.resume();
+      this.setState('playing');
+      return;
+    }
+    if (this.state === 'ended') this.position = 0;
+    this.setState('playing');
+    this.speakFrom(this.position);
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    if (this.engine.speaking) this.engine.pause();
+    else this.halt(); // between chunks or waiting for text: play() starts at the position again
+    this.setState('paused');
+  }
+
+  // Stop; the next play() starts at at
+  stop(at = 0) {
+    this.halt();
+    this.setPosition(at);
+    this.setState('idle');
+  }
+
+  // Move to pos; playback (if running) continues from there
+  seek(pos) {
+    this.setPosition(pos);
+    if (this.state === 'playing') this.speakFrom(this.position);
+    else if (this.state !== 'idle') this.stop(this.position); // a paused utterance would resume at the old spot
+  }
+
+  setVoice(voice) {
+    this.voice = voice || null;
+    this.restart();
+  }
+
+  setRate(rate) {
+    this.rate = Math.max(0.1, Math.min(10, Number(rate) || 1));
+    this.restart();
+  }
+
+  // Engines with live volume change at once; others from the next utterance (restart() to
+  // apply it at the current word)
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, Number(volume)));
+    if (this.engine.liveVolume && this.engine.setVolume && this.ownsEngine()) this.engine.setVolume(this.volume);
+  }
+
+  // Playback carries on with the new engine at the current word
+  setEngine(engine) {
+    if (engine === this.engine) return;
+    this.halt();
+    this.engine = engine;
+    if (this.state === 'playing') this.speakFrom(this.position);
+  }
+
+  // Chunks of about size characters from now on (used after a stall: smaller utterances)
+  setChunkSize(size) {
+    this.chunkSize = size;
+    this.buildChunks();
+    this.index = findChunkIndex(this.starts, this.position);
+  }
+
+  // Settings apply from the next utterance; a running one restarts at the current word
+  restart() {
+    if (this.state === 'playing') this.speakFrom(this.position);
+  }
+
+  /* ---------- Internals ---------- */
+  halt() {
+    this.run++;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.waiting = false;
+    if (!this.ownsEngine()) return; // the engine is speaking for another reader, or for none
+    engineSpeakers.delete(this.engine);
+    this.engine.cancel();
+  }
+
+  ownsEngine() {
+    return engineSpeakers.get(this.engine) === this;
+  }
+
+  // Take the engine for the next utterance; a reader speaking through it is cut off by speak()
+  claimEngine() {
+    const other = engineSpeakers.get(this.engine);
+    engineSpeakers.set(this.engine, this);
+    if (other && other !== this) other.stop(other.position);
+  }
+
+  setPosition(pos) {
+    this.position = Math.max(0, Math.min(this.text.length, Number(pos) || 0));
+    this.index = findChunkIndex(this.starts, this.position);
+  }
+
+  resolveVoice() {
+    if (typeof this.voice !== 'string') return this.voice;
+    return this.engine.getVoices().find(v => v.name === this.voice) || null;
+  }
+
+  speakFrom(pos) {
+    this.halt();
+    const run = this.run;
+    const range = this.playRange ? this.playRange(pos) : undefined;
+    if (range === null || pos >= this.text.length) {
+      this.reachedEnd(pos);
+      return;
+    }
+    if (range) pos = range.start;
+    this.setPosition(pos);
+    const chunkEnd = this.chunkStart(this.index + 1);
+    const end = range ? Math.min(range.end, chunkEnd) : chunkEnd;
+    this.emit('chunkstart', {index: this.index, start: pos, end});
+    const runs = this.voiceRuns ? this.voiceRuns(pos, end) : [{start: pos, end, voice: this.resolveVoice()}];
+    const next = (i) => {
+      if (run !== this.run) return;
+      if (i >= runs.length) this.chunkDone(pos, end);
+      else this.speakRun(runs[i], () => next(i + 1));
+    };
+    next(0);
+  }
+
+  // One utterance; onend runs when it was spoken to the end
+  speakRun({start, end, voice}, onend) {
+    const run = this.run;
+    const text = this.text.slice(start, end);
+    const norm = this.normalize ? this.normalize(text) : null;
+    const spoken = norm ? norm.text : text;
+    if (!spoken.trim()) { // nothing to say (whitespace, or only skipped citations)
+      this.timer = setTimeout(() => { this.timer = null; onend(); }, 0);
+      return;
+    }
+    this.position = start; // engines without boundaries resume at the run
+    this.emit('utterance', {start, end, text: spoken});
+    this.claimEngine();
+    this.engine.speak(spoken, {
+      voice,
+      rate: this.rate,
+      volume: this.volume,
+      onboundary: (e) => {
+        if (run !== this.run) return;
+        const from = e.charIndex || 0;
+        const to = from + (e.charLength || 1);
+        const [a, b] = norm ? toOriginalRange(norm, from, to) : [from, to];
+        const wordStart = Math.min(end, start + a);
+        this.position = wordStart;
+        this.emit('boundary', {start: wordStart, end: Math.min(end, start + b), page: this.pageAt(wordStart)});
+      },
+      onend: () => {
+        if (run === this.run) onend();
+      },
+      onerror: (e) => {
+        if (run !== this.run) return;
+        this.halt();
+        this.setState('idle');
+        this.emit('error', {error: e});
+      }
+    });
+  }
+
+  chunkDone(start, end) {
+    this.emit('chunkend', {index: this.index, start, end});
+    if (this.state !== 'playing') return;
+    if (end >= this.text.length) { // nothing left: no gap before ending (or waiting)
+      this.reachedEnd(end);
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.speakFrom(end);
+    }, this.gap);
+  }
+
+  // Nothing left to play from pos: wait for more text, or end
+  reachedEnd(pos) {
+    if (this.moreText && this.moreText()) {
+      this.setPosition(pos);
+      this.waiting = true;
+      this.emit('waiting', {position: this.position});
+      return;
+    }
+    this.index = 0;
+    this.position = this.text.length;
+    this.setState('ended');
+  }
+
+  setState(state) {
+    if (state === this.state || !READER_STATES.includes(state)) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit('statechange', {state, previous});
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {detail}));
+  }
+}
+
+// Built-in normalize.js rules (no user dictionary), or none when normalize.js is not loaded
+function defaultReaderNormalize() {
+  if (typeof compileNormalizeRules !== 'function') return null;
+  const rules = compileNormalizeRules([], NORMALIZE_DEFAULTS);
+  return text => normalizeText(text, rules);
+}
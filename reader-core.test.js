@@ -0,0 +1,264 @@
+/*
+  Reader core tests (node --test)
+  - Loads segmenter.js, normalize.js, engines.js and reader-core.js as classic scripts into one
+    context, with a fake speechSynthesis that speaks an utterance to its end on finish().
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// speechSynthesis that records utterances; finish() reports every word, then the end
+function fakeSpeechSynthesis() {
+  return {
+    spoken: [],
+    current: null,
+    paused: false,
+    get speaking() { return !!this.current; },
+    getVoices() { return [{name: 'Test voice', lang: 'en-US', default: true}]; },
+    speak(u) {
+      this.current = u;
+      this.spoken.push(u);
+    },
+    cancel() {
+      this.current = null;
+      this.paused = false;
+    },
+    pause() { this.paused = true; },
+    resume() { this.paused = false; },
+    // words: how many to speak before stopping (all by default, then onend)
+    finish(words = Infinity) {
+      const u = this.current;
+      const found = Array.from(u.text.matchAll(/\S+/g)).slice(0, words);
+      for (const m of found) u.onboundary({charIndex: m.index, charLength: m[0].length});
+      if (words !== Infinity) return;
+      this.current = null;
+      u.onend();
+    },
+    fail(error) {
+      const u = this.current;
+      this.current = null;
+      u.onerror({error});
+    }
+  };
+}
+
+function loadReader() {
+  const synth = fakeSpeechSynthesis();
+  const context = vm.createContext({
+    speechSynthesis: synth,
+    SpeechSynthesisUtterance: class { constructor(text) { this.text = text; } },
+    EventTarget, CustomEvent, setTimeout, clearTimeout, console
+  });
+  for (const file of ['segmenter.js', 'normalize.js', 'engines.js', 'reader-core.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, {filename: file});
+  }
+  return {Reader: vm.runInContext('Reader', context), synth};
+}
+
+// Record the detail of every event of the given types
+function record(reader, types) {
+  const events = [];
+  for (const type of types) reader.addEventListener(type, e => events.push({type, ...e.detail}));
+  return events;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const SENTENCES = Array.from({length: 12}, (_, i) => `Sentence number ${i + 1} is a short one to read.`);
+const TEXT = `${SENTENCES.join(' ')}\n\nThe last paragraph ends the text.`;
+
+test('plays chunk by chunk to the end', async () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader({chunkSize: 200});
+  const events = record(reader, ['statechange', 'chunkend']);
+  reader.load(TEXT);
+  assert.ok(reader.chunks.length > 1);
+  reader.play();
+  assert.strictEqual(reader.state, 'playing');
+  for (let i = 0; i < reader.chunks.length; i++) {
+    assert.strictEqual(synth.current.text, reader.chunks[i]);
+    synth.finish();
+    await tick();
+  }
+  assert.strictEqual(reader.state, 'ended');
+  assert.strictEqual(reader.position, TEXT.length);
+  assert.deepStrictEqual(events.filter(e => e.type === 'statechange').map(e => e.state), ['playing', 'ended']);
+  assert.deepStrictEqual(events.filter(e => e.type === 'chunkend').map(e => e.start), [...reader.starts]);
+});
+
+test('word boundaries are offsets into the loaded text', async () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader({chunkSize: 200});
+  const words = record(reader, ['boundary']);
+  reader.load(TEXT);
+  reader.play();
+  synth.finish();
+  await tick();
+  synth.finish();
+  for (const w of words) assert.match(TEXT.slice(w.start, w.end), /^\S+$/);
+  assert.strictEqual(TEXT.slice(words[0].start, words[0].end), 'Sentence');
+  assert.ok(words[words.length - 1].start >= reader.starts[1]);
+});
+
+test('normalized speech maps back to the original words', () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader();
+  const words = record(reader, ['boundary']);
+  reader.load('It weighs 5 kg today.');
+  reader.play();
+  assert.match(synth.current.text, /kilograms/);
+  synth.finish(4); // "It weighs five kilograms"
+  assert.deepStrictEqual(words.map(w => reader.text.slice(w.start, w.end)), ['It', 'weighs', '5 kg', '5 kg']);
+});
+
+test('pause, resume and seek', () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader();
+  reader.load(TEXT);
+  reader.play();
+  synth.finish(3);
+  reader.pause();
+  assert.strictEqual(reader.state, 'paused');
+  assert.ok(synth.paused);
+  reader.play();
+  assert.strictEqual(reader.state, 'playing');
+  assert.ok(!synth.paused);
+  assert.strictEqual(synth.spoken.length, 1); // resumed, not spoken again
+
+  const at = TEXT.indexOf('The last paragraph');
+  reader.seek(at);
+  assert.strictEqual(reader.position, at);
+  assert.ok(synth.current.text.startsWith('The last paragraph'));
+
+  reader.pause();
+  reader.seek(0); // a paused utterance would resume at the old spot
+  assert.strictEqual(reader.state, 'idle');
+  assert.strictEqual(synth.current, null);
+  reader.play();
+  assert.ok(synth.current.text.startsWith('Sentence number 1 '));
+});
+
+test('stop keeps the given position for the next play', () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader();
+  reader.load(TEXT);
+  reader.play();
+  synth.finish(5);
+  const at = reader.position;
+  reader.stop(at);
+  assert.strictEqual(reader.state, 'idle');
+  reader.play();
+  assert.strictEqual(synth.current.text, TEXT.slice(at));
+  reader.stop();
+  assert.strictEqual(reader.position, 0);
+});
+
+test('settings restart the utterance at the current word', () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader();
+  reader.load(TEXT);
+  reader.play();
+  synth.finish(2);
+  const at = reader.position;
+  reader.setRate(1.5);
+  assert.strictEqual(synth.spoken.length, 2);
+  assert.strictEqual(synth.current.rate, 1.5);
+  assert.strictEqual(synth.current.text, TEXT.slice(at));
+});
+
+test('an engine error stops at the last word reached', () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader();
+  const errors = record(reader, ['error']);
+  reader.load(TEXT);
+  reader.play();
+  synth.finish(4);
+  const at = reader.position;
+  synth.fail('synthesis-failed');
+  assert.strictEqual(reader.state, 'idle');
+  assert.strictEqual(errors[0].error.error, 'synthesis-failed');
+  assert.strictEqual(reader.position, at);
+});
+
+test('paged text reports the page of each word', async () => {
+  const {Reader, synth} = loadReader();
+  const reader = new Reader({chunkSize: 20});
+  const words = record(reader, ['boundary']);
+  reader.load({pages: [{pageNum: 3, text: 'Page three text.'}, {pageNum: 4, text: 'Page four text.'}]});
+  reader.play();
+  while (reader.state === 'playing') {
+    synth.finish();
+    await tick();
+  }
+  assert.deepStrictEqual(words.map(w => w.page), [3, 3, 3, 4, 4, 4]);
+});
+
+test('waits at the end for appended text', async () => {
+  const {Reader, synth} = loadReader();
+  let more = true;
+  const reader = new Reader({moreText: () => more});
+  const waits = record(reader, ['waiting']);
+  reader.load('First part.\n\n');
+  reader.play();
+  synth.finish();
+  await tick();
+  assert.strictEqual(reader.state, 'playing');
+  assert.ok(reader.waiting);
+  assert.strictEqual(waits[0].position, reader.text.length);
+  more = false;
+  reader.append('Second part.');
+  assert.ok(!reader.waiting);
+  assert.strictEqual(synth.current.text, 'Second part.');
+  synth.finish();
+  await tick();
+  assert.strictEqual(reader.state, 'ended');
+});
+
+test('play ranges and voice runs shape the utterances', async () => {
+  const {Reader, synth} = loadReader();
+  const text = 'Skip this. Read this part. Skip again. And this.';
+  const ranges = [[11, 26], [39, 48]];
+  const reader = new Reader({
+    playRange: pos => {
+      const r = ranges.find(([, end]) => end > pos);
+      return r ? {start: Math.max(pos, r[0]), end: r[1]} : null;
+    },
+    voiceRuns: (start, end) => [{start, end: start + 5, voice: 'a'}, {start: start + 5, end, voice: 'b'}]
+  });
+  reader.load(text);
+  reader.play();
+  const heard = [];
+  while (reader.state === 'playing') {
+    heard.push(synth.current.text);
+    synth.finish();
+    await tick();
+  }
+  assert.deepStrictEqual(heard, ['Read ', 'this part.', 'And t', 'his.']);
+  assert.strictEqual(reader.state, 'ended');
+});
+
+test('readers sharing an engine: the one that starts speaking wins', () => {
+  const {Reader, synth} = loadReader();
+  const first = new Reader();
+  const second = new Reader();
+  first.load('The first reader has this to say.');
+  second.load('The second reader says something else.');
+  first.play();
+  synth.finish(3);
+  second.load('The second reader loads new text.'); // loading another reader leaves this one speaking
+  second.stop();
+  assert.ok(synth.current.text.startsWith('The first reader'));
+  assert.strictEqual(first.state, 'playing');
+
+  const at = first.position;
+  second.play();
+  assert.ok(synth.current.text.startsWith('The second reader'));
+  assert.strictEqual(first.state, 'idle');
+  assert.strictEqual(first.position, at);
+  first.stop(); // not speaking any more: the second reader carries on
+  assert.ok(synth.current.text.startsWith('The second reader'));
+  assert.strictEqual(second.state, 'playing');
+});
@@ -1,48 +1,39 @@
 /*
   Document Reader + TTS
-  - Uses SpeechSynthesis for playback.
-  - Uses PDF.js to extract and render PDFs.
+  - Plays through a pluggable speech engine (engines.js): Web Speech API or eSpeak NG (WASM).
+  - eSpeak NG can also export the document or a selection as WAV/MP3.
+  - Uses PDF.js to extract and render PDFs (pdf-view.js: canvas pages, text layer, word highlight).
+    Long PDFs arrive a batch of pages at a time; the text grows under playback (extendTextViewer).
+  - EPUB, DOCX, HTML, Markdown and RTF are converted to text + structure by formats.js.
+  - Each chunk is spoken as voice runs (voices.js): other-language paragraphs and, optionally,
+    quoted dialogue get their own voice.
+  - Text is normalized before it is spoken (normalize.js, pronunciation.js); word boundaries
+    are mapped back so highlighting follows the original text.
+  - The read-along view (read-along.js) highlights the current sentence and word; the textarea
+    stays the editable view. search.js finds and marks text in all views.
+  - Bookmarks, highlights and notes (annotations.js); playback can be limited to the highlights.
+  - Boundary timings can be recorded into sentence cues for WebVTT/SRT/EPUB export (transcript.js).
   - Double-click jump implemented by mapping double-click location to character index where possible.
+  - Text, chunks and playback state live in one Reader (reader-core.js); the views follow its
+    events. Chunks come from segmenter.js and end on sentence/paragraph boundaries.
+  - A watchdog restarts utterances that stall or lose their end event (smaller chunks each time);
+    speech and load errors show as status banners (status.js).
 */
 
 /* ---------- Utilities ---------- */
 const $ = id => document.getElementById(id);
 
-function readFileAsText(file) {
-  return new Promise((res, rej) => {
-    const reader = new FileReader();
-    reader.onload = () => res(reader.result);
-    reader.onerror = rej;
-    reader.readAsText(file);
-  });
-}
-
-/* ---------- PDF handling via pdf.js ---------- */
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
-
-async function extractTextFromPDF(file) {
-  const arrayBuffer = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({data:arrayBuffer}).promise;
-  let fullText = '';
-  const pages = [];
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const tc = await page.getTextContent();
-    const pageText = tc.items.map(i => i.str).join(' ');
-    pages.push({page, textItems: tc.items, text: pageText});
-    fullText += pageText + '\n\n';
-  }
-  return {text:fullText, pages};
+// Text of a file in its detected encoding (readTextFile, formats.js)
+async function readFileAsText(file) {
+  return (await readTextFile(file)).text;
 }
 
 /* ---------- UI state ---------- */
 let currentText = '';
-let currentChunks = []; // for chunked reading
-let currentIndex = 0;
-let isPlaying = false;
-let utterance = null;
-let currentVoice = null;
+let isPlaying = false; // reader.state === 'playing'
+let activeEngine = webSpeechEngine; // see engines.js
 let voices = [];
+let preferredVoiceName = null; // voice to select once it shows up in the (async) voice list
 
 /* ---------- DOM references ---------- */
 const fileInput = $('fileInput');
@@ -61,38 +52,45 @@ const closeMoreVoicesFooter = $('closeMoreVoicesFooter');
 const refreshVoicesBtn = $('refreshVoicesBtn');
 const darkModeToggle = $('darkModeToggle');
 // Removed chunkSizeInput from UI; using an internal chunk size instead
-let internalChunkSize = 3000; // adjustable logic; large enough for smooth playback
+const DEFAULT_CHUNK_SIZE = 3000; // large enough for smooth playback
 const fileList = $('fileList');
 // downloadBtn and recStatus removed from UI
 const voiceInfo = $('voiceInfo');
+const pdfToolbar = $('pdfToolbar');
+const engineSelect = $('engineSelect');
+const exportBtn = $('exportBtn');
+const exportCancelBtn = $('exportCancelBtn');
+const exportFormat = $('exportFormat');
+const exportRange = $('exportRange');
+const exportProgress = $('exportProgress');
+const exportStatus = $('exportStatus');
+
+/* ---------- Reader ---------- */
+// Text model, chunks and playback (reader-core.js); reader.position is the last word reached
+const reader = new Reader({
+  engine: activeEngine,
+  chunkSize: DEFAULT_CHUNK_SIZE,
+  normalize: text => normalizeForSpeech(text), // pronunciation.js
+  voiceRuns: (start, end) => voiceRunsFor(start, end), // voices.js: other languages, dialogue
+  playRange: pos => highlightPlaybackRange(pos), // annotations.js: "Play only my highlights"
+  moreText: () => pdfTextPending(), // pdf-view.js: pages still being extracted
+  gap: 120 // small delay between chunks to allow UI updates
+});
 
 /* ---------- Populate voices ---------- */
 function populateVoiceList() {
-  voices = speechSynthesis.getVoices();
+  voices = activeEngine.getVoices();
+  const previous = voiceSelect.value;
   voiceSelect.innerHTML = '';
 
-  // Try to pick the 5 voices requested (heuristic)
-  // priority: en-US male, en-US female, en-GB male, en-GB female, another female/other
-  const picks = [];
-  const find = (pred) => voices.find(pred);
-
-  const isMaleName = (name) => /\b(John|David|Mark|Tom|Alex|Peter|Paul|Daniel|Michael|James|William)\b/i.test(name);
-  const isFemaleName = (name) => /\b(Emily|Emma|Olivia|Sophia|Ava|Isabella|Elizabeth|Anna|Sarah|Mia)\b/i.test(name);
-
-  // heuristics
-  picks.push(find(v => /en[-_]?us/i.test(v.lang) && isMaleName(v.name)));
-  picks.push(find(v => /en[-_]?us/i.test(v.lang) && isFemaleName(v.name)));
-  picks.push(find(v => /en[-_]?gb/i.test(v.lang) && isMaleName(v.name)));
-  picks.push(find(v => /en[-_]?gb/i.test(v.lang) && isFemaleName(v.name)));
-  // fallback picks
-  picks.push(find(v => /en/i.test(v.lang) && !picks.includes(v)));
-  // fill up to 5 unique
-  const unique = [];
-  for (const p of picks) if (p && !unique.includes(p)) unique.push(p);
-  for (const v of voices) if (unique.length < 5 && !unique.includes(v)) unique.push(v);
-
-  // If still empty (rare), list whatever voices exist
-  const listToShow = unique.length ? unique : voices.slice(0,5);
+  // Suggestions: voices for the browser's languages, default voice first
+  // (voices for other languages and dialogue are assigned in the Voices panel, voices.js)
+  const wantedLangs = (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en']).map(languageBase);
+  const rank = v => wantedLangs.indexOf(languageBase(v.lang));
+  const suggested = voices
+    .filter(v => rank(v) >= 0)
+    .sort((a, b) => (rank(a) - rank(b)) || ((b.default ? 1 : 0) - (a.default ? 1 : 0)));
+  const listToShow = (suggested.length ? suggested : voices).slice(0, 5);
 
   // populate select with those options (and include rest)
   listToShow.forEach((v) => {
@@ -113,22 +111,25 @@ function populateVoiceList() {
     opt.textContent = `${v.name} — ${v.lang} ${v.default ? '(default)' : ''}`;
     voiceSelect.appendChild(opt);
   });
+  const wanted = preferredVoiceName || previous;
+  if (wanted && voices.some(v => v.name === wanted)) voiceSelect.value = wanted;
 
   updateVoiceInfo();
+  if (voices.length) hideStatus('voices'); // status.js
+  if (voiceAssignModal && voiceAssignModal.style.display !== 'none') renderVoiceAssignments(); // voices.js
 }
 
 function updateVoiceInfo() {
   const suggested = Array.from(voiceSelect.options).slice(0,5).map(o => o.textContent).join('<br>');
-  voiceInfo.innerHTML = `Top suggestions (based on available voices):<br>${suggested}<br><br>Browser-provided voices vary by OS/browser. If you need specific commercial voices (e.g., a particular British male), consider using a cloud TTS provider and their API (requires server/API key).`;
+  voiceInfo.innerHTML = `Top suggestions (voices for your browser's languages):<br>${suggested}<br><br>Browser-provided voices vary by OS/browser. If you need specific commercial voices (e.g., a particular British male), consider using a cloud TTS provider and their API (requires server/API key).`;
 }
 
 /* ---------- Text handling ---------- */
 let isPDFMode = false; // controls whether pdfViewer stays visible
-let pdfSpans = []; // flattened list of {start, end, el}
+let pdfSpans = []; // flattened list of {start, end, el, page, y}
+let pdfPagesMeta = []; // {pageNum, text, items}
 let currentPDFSpanEl = null;
-let lastBoundaryGlobalStart = 0; // last known global char index where playback boundary occurred
 let settingsRestartTimer = null; // debounce timer for settings changes
-let restartInFlight = false; // prevent races when restarting
 
 function setTextViewer(text) {
   currentText = text || '';
@@ -137,18 +138,38 @@ function setTextViewer(text) {
   // If not in PDF mode, hide the PDF viewer; otherwise leave it visible above the textbox
   if (!isPDFMode) {
     pdfViewer.style.display = 'none';
+    if (pdfToolbar) pdfToolbar.style.display = 'none';
   }
   // reset
-  currentIndex = 0;
-  buildChunks();
+  reader.chunkSize = DEFAULT_CHUNK_SIZE; // a stall in the previous text says nothing about this one
+  reader.load(currentText);
+  refreshOutline(); // outline.js
+  applyReaderView(); // read-along.js
+  refreshSearch(); // search.js
+  refreshAnnotations(); // annotations.js
 }
 
-function buildChunks() {
-  const chunkSize = internalChunkSize;
-  currentChunks = [];
-  for (let i=0;i<currentText.length;i+=chunkSize) {
-    currentChunks.push(currentText.slice(i, i+chunkSize));
-  }
+// More text for the document being read (PDF pages extracted in the background): appended
+// without moving the playhead, and playback waiting at the old end carries on
+function extendTextViewer(text) {
+  if (!text.startsWith(currentText)) return; // edited meanwhile: the edits win
+  const from = currentText.length;
+  currentText = text;
+  const {scrollTop, selectionStart, selectionEnd} = pasteBox;
+  pasteBox.value = currentText;
+  try { pasteBox.setSelectionRange(selectionStart, selectionEnd); } catch (_) {}
+  pasteBox.scrollTop = scrollTop;
+  refreshOutline();
+  applyReaderView();
+  refreshSearch();
+  refreshAnnotations();
+  reader.append(currentText.slice(from));
+}
+
+// Length of prev when the current text is prev with more paragraphs appended, so caches
+// can process just the new part; 0 otherwise
+function textAppendedAfter(prev) {
+  return prev && prev !== currentText && prev.endsWith('\n\n') && currentText.startsWith(prev) ? prev.length : 0;
 }
 
 // Try to jump to a character index (start playback there)
@@ -156,16 +177,13 @@ function jumpToCharIndex(idx) {
   if (!currentText) return;
   // clamp
   idx = Math.max(0, Math.min(currentText.length-1, idx));
-  // find chunk index
-  const chunkSize = internalChunkSize;
-  currentIndex = Math.floor(idx / chunkSize);
   // visually scroll textarea to approximate position
   const ratio = idx / Math.max(1, currentText.length);
   pasteBox.scrollTop = (pasteBox.scrollHeight - pasteBox.clientHeight) * ratio;
-  // start reading from exact position inside the chunk
-  const baseOffset = currentIndex * chunkSize;
-  const offsetWithinChunk = Math.max(0, idx - baseOffset);
-  playFromCurrentChunk(offsetWithinChunk);
+  resumeReadAlongScroll(); // the read-along view follows the new position again
+  // start reading from the exact position
+  reader.seek(idx);
+  reader.play();
 }
 
 /* ---------- Double-click handling for jump (textarea) ---------- */
@@ -196,6 +214,12 @@ pdfViewer.addEventListener('dblclick', (ev) => {
     }
     t = t.parentElement;
   }
+  // rendered page: use the text item nearest to the click
+  const nearest = nearestPDFSpanAt(ev.clientX, ev.clientY);
+  if (nearest) {
+    jumpToCharIndex(nearest.start);
+    return;
+  }
   // fallback: proportional map
   const rect = pdfViewer.getBoundingClientRect();
   const ratio = (ev.clientY - rect.top) / rect.height;
@@ -203,136 +227,58 @@ pdfViewer.addEventListener('dblclick', (ev) => {
   jumpToCharIndex(charIdx);
 });
  
-/* ---------- PDF render and simple text-layer mapping ---------- */
-let pdfPagesMeta = []; // {pageNum, text, items}
-async function renderPDFToViewer(file) {
-  pdfViewer.innerHTML = '';
-  pdfViewer.style.display = 'block';
-  isPDFMode = true;
-  const data = await extractTextFromPDF(file);
-  pdfPagesMeta = [];
-  pdfSpans = [];
-  let accumulated = '';
-  for (let i=0;i<data.pages.length;i++) {
-    const p = data.pages[i];
-    const pageNum = i+1;
-    const pageBase = accumulated.length; // global start index of this page in currentText
-    const pageDiv = document.createElement('div');
-    pageDiv.className = 'pdf-page';
-    pageDiv.dataset.page = pageNum;
-    // create a simple text layer: each text item becomes a span so dblclick can map roughly
-    const textLayer = document.createElement('div');
-    textLayer.style.lineHeight = '1.5';
-    const items = p.textItems;
-    let charAcc = 0;
-    for (let j=0;j<items.length;j++) {
-      const itm = items[j];
-      const span = document.createElement('span');
-      span.textContent = itm.str + (j < items.length-1 ? ' ' : '');
-      // store page and char index in dataset
-      span.dataset.charIndex = JSON.stringify({page:pageNum, offset:charAcc});
-      // compute global start/end and record span for highlighting lookup
-      const start = pageBase + charAcc;
-      const end = start + span.textContent.length;
-      pdfSpans.push({start, end, el: span});
-      // increment
-      charAcc += span.textContent.length;
-      span.style.cursor = 'pointer';
-      span.title = span.textContent.slice(0,60);
-      textLayer.appendChild(span);
-    }
-    pageDiv.appendChild(document.createElement('h4')).appendChild(document.createTextNode(`Page ${pageNum}`));
-    pageDiv.appendChild(textLayer);
-    pdfViewer.appendChild(pageDiv);
-    pdfPagesMeta.push({pageNum, text: p.text, items: items});
-    accumulated += p.text + '\n\n';
-  }
-
-  // set overall text as accumulated text and allow reading; keep PDF visible
-  currentText = accumulated;
-  pasteBox.value = accumulated;
-  currentIndex = 0;
-  buildChunks();
+function selectedVoice() {
+  const selName = voiceSelect.value;
+  return voices.find(vo => vo.name === selName) || voices.find(vo => vo.default) || voices[0] || null;
 }
 
-function clearPDFHighlight(){
-  if (currentPDFSpanEl){
-    currentPDFSpanEl.classList.remove('pdf-reading');
-    currentPDFSpanEl = null;
+/* ---------- Playback (speech engine) ---------- */
+// The spoken word: highlighted in the current view, followed by the outline, progress and timings
+function showSpokenWord(start, end) {
+  noteSpeechProgress();
+  if (readAlongActive()) {
+    highlightReadAlong(start, end); // read-along.js: sentence + word highlight, auto-scroll
+  } else {
+    // Apply selection to visualize current word
+    try { pasteBox.setSelectionRange(start, end); } catch(_) {}
+    // Keep current selection roughly centered
+    const selEnd = end;
+    const beforeText = pasteBox.value.slice(0, selEnd);
+    const approxLines = beforeText.split(/\n/).length;
+    const lineHeight = 20;
+    const desiredScroll = (approxLines * lineHeight) - (pasteBox.clientHeight / 2);
+    if (Math.abs(pasteBox.scrollTop - desiredScroll) > 60) {
+      pasteBox.scrollTop = desiredScroll;
+    }
   }
-}
-
-function findPDFSpanAt(idx){
-  // binary search in sorted pdfSpans
-  let lo = 0, hi = pdfSpans.length - 1, ans = null;
-  while (lo <= hi){
-    const mid = (lo + hi) >> 1;
-    const s = pdfSpans[mid];
-    if (idx < s.start) hi = mid - 1;
-    else if (idx >= s.end) lo = mid + 1;
-    else { ans = s; break; }
+  // If a PDF is visible, move the word highlight rectangle over the rendered page
+  if (isPDFMode && pdfSpans.length){
+    highlightPDFWord(start, end);
   }
-  return ans;
+  updateCurrentSection(start);
+  trackProgress(start); // progress.js
+  recordTiming(start); // transcript.js
 }
 
-/* ---------- Playback (SpeechSynthesis) ---------- */
-function speakChunk(text, onend, baseOffsetOverride) {
-  if (utterance) {
-    utterance.onend = null;
-    utterance.onerror = null;
-    speechSynthesis.cancel();
-    utterance = null;
+reader.addEventListener('statechange', (e) => {
+  isPlaying = e.detail.state === 'playing';
+  if (isPlaying) {
+    applyReaderView(); // text pasted into an empty reader switches to the read-along view
+    startSpeechWatchdog();
   }
-  utterance = new SpeechSynthesisUtterance(text);
-  utterance.rate = Number(rateSlider.value) || 1;
-  utterance.volume = Number(volumeSlider.value) || 1;
-  // set voice
-  const selName = voiceSelect.value;
-  const v = voices.find(vo => vo.name === selName) || voices.find(vo => vo.default) || voices[0];
-  if (v) utterance.voice = v;
-  // Word boundary highlighting within textarea
-  const baseOffset = (typeof baseOffsetOverride === 'number') ? baseOffsetOverride : (currentIndex * internalChunkSize);
-  // initialize last boundary to start of this utterance as a fallback
-  lastBoundaryGlobalStart = baseOffset;
-  utterance.onboundary = (e) => {
-    // Some browsers do not set name='word'; update on any boundary with indices
-    if (e && (typeof e.charIndex === 'number')) {
-      const start = baseOffset + (e.charIndex || 0);
-      const end = start + (e.charLength || 1);
-      lastBoundaryGlobalStart = start;
-      // Apply selection to visualize current word
-      try { pasteBox.setSelectionRange(start, end); } catch(_) {}
-      // Keep current selection roughly centered
-      const selEnd = end;
-      const beforeText = pasteBox.value.slice(0, selEnd);
-      const approxLines = beforeText.split(/\n/).length;
-      const lineHeight = 20;
-      const desiredScroll = (approxLines * lineHeight) - (pasteBox.clientHeight / 2);
-      if (Math.abs(pasteBox.scrollTop - desiredScroll) > 60) {
-        pasteBox.scrollTop = desiredScroll;
-      }
-      // If a PDF is visible, move an overlay highlight across spans
-      if (isPDFMode && pdfSpans.length){
-        const hit = findPDFSpanAt(start);
-        if (hit && hit.el !== currentPDFSpanEl){
-          clearPDFHighlight();
-          currentPDFSpanEl = hit.el;
-          currentPDFSpanEl.classList.add('pdf-reading');
-          // keep highlighted word visible
-          try { currentPDFSpanEl.scrollIntoView({block:'center'}); } catch(_) {}
-        }
-      }
-    }
-  };
-  utterance.onend = () => {
-    if (typeof onend === 'function') onend();
-  };
-  utterance.onerror = (e) => {
-    console.error('TTS error', e);
-    isPlaying = false;
-  };
-  speechSynthesis.speak(utterance);
-}
+  updatePlayPauseUI();
+  if (e.detail.state === 'ended') playNextInQueue(); // library.js
+});
+reader.addEventListener('boundary', e => showSpokenWord(e.detail.start, e.detail.end));
+reader.addEventListener('utterance', e => armSpeechWatchdog(e.detail.text.length));
+reader.addEventListener('chunkstart', e => timingChunkStart(e.detail.start)); // transcript.js
+reader.addEventListener('chunkend', (e) => {
+  speechRetries = 0;
+  timingChunkEnd(e.detail.end); // transcript.js
+});
+// Out of text while a PDF's pages are still arriving: pass the pages already extracted right away
+reader.addEventListener('waiting', () => schedulePDFTextUpdate(activePDFView)); // pdf-view.js
+reader.addEventListener('error', e => handleSpeechError(e.detail.error));
 
 function updatePlayPauseUI(){
   if (!playPauseBtn) return;
@@ -351,29 +297,113 @@ function updatePlayPauseUI(){
     } catch(e) {}
     clearPDFHighlight();
   }
+  syncMediaSession(); // controls.js
+  syncTimingClock(); // transcript.js
 }
 
-function playFromCurrentChunk(offsetWithinChunk = 0){
-  if (!currentChunks.length) buildChunks();
-  if (currentIndex < 0) currentIndex = 0;
-  if (currentIndex >= currentChunks.length) { isPlaying=false; return; }
-  isPlaying = true;
-  restartInFlight = false; // new utterance starting
-  const chunkFull = currentChunks[currentIndex] || '';
-  const speakOffset = Math.max(0, Math.min(offsetWithinChunk, chunkFull.length));
-  const chunk = speakOffset ? chunkFull.slice(speakOffset) : chunkFull;
-  const baseOffset = currentIndex * internalChunkSize + speakOffset;
-  updatePlayPauseUI();
-  speakChunk(chunk, () => {
-    currentIndex++;
-    if (currentIndex < currentChunks.length && isPlaying) {
-      // small delay to allow UI updates
-      setTimeout(()=> playFromCurrentChunk(), 120);
-    } else {
-      isPlaying = false;
-      updatePlayPauseUI();
-    }
-  }, baseOffset);
+/* ---------- Playback watchdog ---------- */
+// Some engines stop long utterances silently or never fire onend, which leaves playback hanging
+// on "Pause". A stalled utterance is restarted at the last word reached, with smaller chunks
+// each time (for the rest of the text); after SPEECH_MAX_RETRIES in a row playback stops with a message.
+const SPEECH_WATCHDOG_MS = 2000; // how often playback is checked
+const SPEECH_STALL_MS = 10000; // no word boundary for this long (once they were arriving): stalled
+const SPEECH_END_GRACE_MS = 4000; // engine idle this long without onend: the end event was lost
+const SPEECH_MIN_CPS = 6; // slowest plausible speech (chars/s at rate 1), for engines without boundaries
+const SPEECH_MAX_RETRIES = 4;
+const SPEECH_RETRY_ERRORS = ['text-too-long', 'synthesis-failed', 'audio-busy', 'network'];
+const MIN_CHUNK_SIZE = 250; // the smaller-chunk fallback stops here
+let speechWatchdogTimer = null;
+let lastSpeechActivity = 0; // when the current utterance started, reported a boundary or resumed
+let utteranceBudget = 0; // ms the current utterance may take without reporting boundaries
+let boundariesArriving = false;
+let speechRetries = 0; // recoveries in a row; reset when an utterance ends normally
+
+function armSpeechWatchdog(length) {
+  const rate = Number(rateSlider.value) || 1;
+  utteranceBudget = SPEECH_STALL_MS + 1000 * length / (SPEECH_MIN_CPS * rate);
+  boundariesArriving = false;
+  startSpeechWatchdog();
+}
+
+// Restart the stall clock (utterance started or resumed) and make sure the watchdog runs
+function startSpeechWatchdog() {
+  lastSpeechActivity = Date.now();
+  if (!speechWatchdogTimer) speechWatchdogTimer = setInterval(checkSpeechWatchdog, SPEECH_WATCHDOG_MS);
+}
+
+function noteSpeechProgress() {
+  lastSpeechActivity = Date.now();
+  boundariesArriving = true;
+}
+
+function checkSpeechWatchdog() {
+  if (!isPlaying) {
+    clearInterval(speechWatchdogTimer);
+    speechWatchdogTimer = null;
+    return;
+  }
+  // waiting for PDF pages, between chunks or paused: nothing is due
+  if (reader.waiting || reader.timer || activeEngine.paused) {
+    lastSpeechActivity = Date.now();
+    return;
+  }
+  const quiet = Date.now() - lastSpeechActivity;
+  const stalled = quiet > (boundariesArriving ? SPEECH_STALL_MS : utteranceBudget);
+  const endLost = !activeEngine.speaking && quiet > SPEECH_END_GRACE_MS;
+  if (!stalled && !endLost) return;
+  if (!recoverSpeech()) {
+    stopAfterSpeechError('Speech stopped responding. Press Resume to continue from the last word read, or try another voice or engine.');
+  }
+}
+
+// Restart at the last word reached, halving the chunk size down to MIN_CHUNK_SIZE;
+// false once the retries are used up
+function recoverSpeech() {
+  if (speechRetries >= SPEECH_MAX_RETRIES) return false;
+  speechRetries++;
+  if (reader.chunkSize > MIN_CHUNK_SIZE) {
+    reader.setChunkSize(Math.max(MIN_CHUNK_SIZE, Math.floor(reader.chunkSize / 2)));
+  }
+  console.warn(`Speech stalled; restarting at ${reader.position} with ${reader.chunkSize}-character chunks`);
+  lastSpeechActivity = Date.now();
+  reader.seek(reader.position);
+  reader.play(); // after an engine error the reader has stopped
+  return true;
+}
+
+// Engine errors: interruptions and hard failures stop playback with a message, passing ones
+// are retried like a stall
+function handleSpeechError(e) {
+  const code = e && e.error; // SpeechSynthesisErrorEvent; eSpeak NG passes an Error
+  console.error('TTS error', code || e);
+  if (code === 'interrupted' || code === 'canceled') {
+    stopAfterSpeechError('Speech was interrupted by another tab or app.', 'info');
+    return;
+  }
+  if (SPEECH_RETRY_ERRORS.includes(code) && recoverSpeech()) return;
+  stopAfterSpeechError(speechErrorMessage(e));
+}
+
+function speechErrorMessage(e) {
+  switch (e && e.error) {
+    case 'synthesis-unavailable': return NO_VOICES_MESSAGE; // status.js
+    case 'voice-unavailable': return 'The selected voice is no longer available. Pick another voice, then press Resume.';
+    case 'language-unavailable': return 'No installed voice speaks the language of this text. Assign a voice in the Voices panel, then press Resume.';
+    case 'not-allowed': return 'The browser blocked speech that was not started from the page. Press Resume to start it.';
+    case 'audio-hardware': return 'No audio output is available. Check your speakers or headphones, then press Resume.';
+    case 'network': return 'The voice needs a network connection, which failed. Pick a local voice or press Resume to try again.';
+    default: return `Speech failed (${(e && (e.error || e.message)) || 'unknown error'}). Press Resume to continue.`;
+  }
+}
+
+// Stop playback after an error, ready to continue from the last word reached
+function stopAfterSpeechError(message, kind = 'error') {
+  speechRetries = 0;
+  reader.stop(reader.position);
+  showStatus('speech', message, {
+    kind,
+    actions: [{label: 'Resume', icon: 'fa-play', run: () => { if (!isPlaying) playPauseBtn.click(); }}]
+  });
 }
 
 if (playPauseBtn) {
@@ -383,54 +413,90 @@ if (playPauseBtn) {
       return;
     }
     if (!isPlaying) {
-      if (speechSynthesis.paused) {
-        speechSynthesis.resume();
-        isPlaying = true;
-        updatePlayPauseUI();
-      } else {
-        playFromCurrentChunk();
+      if (!activeEngine.getVoices().length) {
+        // without voices Web Speech fails or stays silent; say why
+        showStatus('voices', NO_VOICES_MESSAGE, {kind: 'warning'});
+        if (!activeEngine.isAvailable()) return;
       }
+      hideStatus('speech');
+      reader.play();
     } else {
-      if (speechSynthesis.speaking) speechSynthesis.pause();
-      isPlaying = false;
-      updatePlayPauseUI();
+      reader.pause();
     }
   });
 }
 
 stopBtn.addEventListener('click', ()=> {
-  speechSynthesis.cancel();
-  isPlaying = false;
-  currentIndex = 0;
+  reader.stop();
   // Clear selection highlight
   try { pasteBox.setSelectionRange(0,0); } catch(e) {}
   clearPDFHighlight();
-  updatePlayPauseUI();
+  clearReadAlongHighlight();
 });
 
+/* ---------- Settings (voice, rate, volume) ---------- */
+// Apply saved settings without restarting playback
+function applySettings(settings) {
+  if (!settings) return;
+  if (typeof settings.rate === 'number') {
+    rateSlider.value = settings.rate;
+    speedLabel.textContent = Number(rateSlider.value).toFixed(2) + '×';
+    reader.setRate(rateSlider.value);
+  }
+  if (typeof settings.volume === 'number') {
+    volumeSlider.value = settings.volume;
+    reader.setVolume(Number(volumeSlider.value) * sleepVolume);
+  }
+  if (settings.voice) {
+    preferredVoiceName = settings.voice;
+    if (voices.some(v => v.name === settings.voice)) voiceSelect.value = settings.voice;
+  }
+}
+
+// Last-used settings become the defaults for documents that have none saved yet
+function saveGlobalSettings() {
+  localStorage.setItem('readerSettings', JSON.stringify({
+    voice: voiceSelect.value || preferredVoiceName,
+    rate: Number(rateSlider.value) || 1,
+    volume: Number(volumeSlider.value)
+  }));
+}
+
+function loadGlobalSettings() {
+  try {
+    return JSON.parse(localStorage.getItem('readerSettings') || 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
 /* ---------- Voice selection changes ---------- */
 voiceSelect.addEventListener('change', () => {
+  preferredVoiceName = voiceSelect.value;
+  saveGlobalSettings();
   // Switch voice immediately mid-playback by restarting at last boundary
-  restartWithNewSettingsFromCurrentPosition(true);
+  reader.setVoice(selectedVoice());
 });
 
 /* ---------- sliders ---------- */
 rateSlider.addEventListener('change', ()=> {
   speedLabel.textContent = Number(rateSlider.value).toFixed(2) + '×';
-  restartWithNewSettingsFromCurrentPosition(false);
+  saveGlobalSettings();
+  reader.setRate(rateSlider.value);
 });
 rateSlider.addEventListener('input', ()=> {
   speedLabel.textContent = Number(rateSlider.value).toFixed(2) + '×';
 });
 volumeSlider.addEventListener('change', ()=> {
-  restartWithNewSettingsFromCurrentPosition(false);
+  saveGlobalSettings();
+  reader.setVolume(Number(volumeSlider.value) * sleepVolume); // progress.js: sleep timer fade
+  if (!activeEngine.liveVolume) reader.restart();
 });
 
 /* ---------- Load File(s) ---------- */
 fileInput.addEventListener('change', async (ev) => {
   const files = Array.from(ev.target.files || []);
   if (!files.length) return;
-  fileList.innerHTML = '';
   // update truncated filename display
   const fileNamesDiv = document.getElementById('fileNames');
   if (fileNamesDiv) {
@@ -438,56 +504,155 @@ fileInput.addEventListener('change', async (ev) => {
     fileNamesDiv.textContent = names;
     fileNamesDiv.title = names;
   }
-  for (const f of files) {
-    const item = document.createElement('div');
-    item.className = 'file-item';
-    const left = document.createElement('div');
-    left.innerHTML = `<strong>${f.name}</strong> <div class="small-muted">${(f.size/1024/1024).toFixed(2)} MB • ${f.type || 'unknown'}</div>`;
-    item.appendChild(left);
-    fileList.appendChild(item);
-    // auto-load immediately
-    if (f.type === 'application/pdf' || f.name.toLowerCase().endsWith('.pdf')) {
-      try {
-        await renderPDFToViewer(f);
-      } catch (e) {
-        console.error('PDF load failed', e);
-        alert('Could not load PDF.');
-      }
-    } else {
-      try {
-        isPDFMode = false;
-        const txt = await readFileAsText(f);
-        setTextViewer(txt);
-      } catch (e) {
-        alert('Could not read file as text.');
-      }
-    }
-  }
-  // auto export after upload if enabled
-  // auto export removed
+  // every file becomes a library document (see library.js)
+  await addFilesToLibrary(files);
+  // allow picking the same file again later
+  fileInput.value = '';
 });
 
 /* ---------- Text area live binding ---------- */
 pasteBox.addEventListener('input', ()=> {
   // keep currentText in sync without toggling pdf display mode
   currentText = pasteBox.value || '';
-  currentIndex = 0;
-  buildChunks();
+  reader.load(currentText);
+  const doc = activeDocument();
+  if (doc) {
+    doc.text = currentText;
+    doc.structure = []; // offsets no longer match the edited text
+  }
 });
 
-/* ---------- Download / Record audio removed ---------- */
+/* ---------- Speech engine selection ---------- */
+function populateEngineList() {
+  if (!engineSelect) return;
+  engineSelect.innerHTML = '';
+  for (const engine of speechEngines) {
+    if (!engine.isAvailable()) continue;
+    const opt = document.createElement('option');
+    opt.value = engine.id;
+    opt.textContent = engine.label;
+    engineSelect.appendChild(opt);
+  }
+  engineSelect.value = activeEngine.id;
+}
+
+async function setActiveEngine(id) {
+  const next = speechEngines.find(e => e.id === id);
+  if (!next || next === activeEngine) return;
+  const wasPlaying = isPlaying;
+  reader.stop(reader.position);
+  activeEngine = next;
+  try {
+    await next.init();
+  } catch (e) {
+    console.error('Speech engine failed to load', e);
+    showStatus('engine', `Could not load ${next.label}: ${e.message || e}`);
+    activeEngine = webSpeechEngine;
+    engineSelect.value = activeEngine.id;
+  }
+  reader.setEngine(activeEngine);
+  populateVoiceList();
+  if (wasPlaying) reader.play();
+}
+
+if (engineSelect) {
+  engineSelect.addEventListener('change', () => setActiveEngine(engineSelect.value));
+}
+
+/* ---------- Audio export (eSpeak NG) ---------- */
+let exportAbort = null;
+
+// Voice to render with: the selected one if eSpeak is active, otherwise the closest eSpeak language
+function exportVoiceFor(engine) {
+  if (engine === activeEngine) return selectedVoice();
+  const list = engine.getVoices();
+  const sel = selectedVoice();
+  const lang = (sel && sel.lang || 'en-US').toLowerCase();
+  return list.find(v => v.lang.toLowerCase() === lang)
+    || list.find(v => v.lang.toLowerCase().split('-')[0] === lang.split('-')[0])
+    || list.find(v => v.default) || null;
+}
+
+function exportText() {
+  if (exportRange && exportRange.value === 'selection') {
+    const [a, b] = selectedTextRange(); // read-along.js
+    if (b > a) return currentText.slice(a, b);
+  }
+  return currentText;
+}
+
+function setExportProgress(done, total, message) {
+  if (exportProgress) {
+    exportProgress.max = Math.max(1, total);
+    exportProgress.value = done;
+    exportProgress.style.display = total ? 'block' : 'none';
+  }
+  if (exportStatus) exportStatus.textContent = message || '';
+}
+
+async function exportAudio() {
+  const text = exportText();
+  if (!text.trim()) {
+    alert('No text loaded. Upload or paste text first.');
+    return;
+  }
+  const engine = espeakEngine;
+  const format = exportFormat ? exportFormat.value : 'wav';
+  exportAbort = new AbortController();
+  exportBtn.disabled = true;
+  if (exportCancelBtn) exportCancelBtn.style.display = '';
+  setExportProgress(0, 1, 'Loading offline voice…');
+  try {
+    await engine.init();
+    const pcm = await engine.renderAudio(normalizeForSpeech(text).text, {
+      voice: exportVoiceFor(engine),
+      rate: Number(rateSlider.value) || 1,
+      signal: exportAbort.signal,
+      onprogress: (done, total) => setExportProgress(done, total, `Rendering ${done}/${total}…`)
+    });
+    setExportProgress(1, 1, format === 'mp3' ? 'Encoding MP3…' : 'Encoding WAV…');
+    const blob = format === 'mp3' ? await encodeMp3(pcm.samples, pcm.sampleRate) : encodeWav(pcm.samples, pcm.sampleRate);
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `reading.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+    setExportProgress(0, 0, `Saved reading.${format} (${(blob.size/1024/1024).toFixed(2)} MB)`);
+  } catch (e) {
+    if (e && e.name === 'AbortError') {
+      setExportProgress(0, 0, 'Export cancelled');
+    } else {
+      console.error('Audio export failed', e);
+      setExportProgress(0, 0, `Export failed: ${e.message || e}`);
+    }
+  } finally {
+    exportAbort = null;
+    exportBtn.disabled = false;
+    if (exportCancelBtn) exportCancelBtn.style.display = 'none';
+  }
+}
+
+if (exportBtn) exportBtn.addEventListener('click', exportAudio);
+if (exportCancelBtn) {
+  exportCancelBtn.addEventListener('click', () => { if (exportAbort) exportAbort.abort(); });
+}
 
 /* ---------- On load populate voices ---------- */
 window.onload = () => {
   // voices may load asynchronously
   populateVoiceList();
-  if (typeof speechSynthesis !== 'undefined') {
-    speechSynthesis.onvoiceschanged = populateVoiceList;
+  for (const engine of speechEngines) {
+    engine.onvoiceschanged = () => { if (engine === activeEngine) populateVoiceList(); };
   }
+  webSpeechEngine.init();
+  populateEngineList();
 
-  // set defaults
+  // set defaults, then last-used settings
   rateSlider.value = 1;
   speedLabel.textContent = '1.00×';
+  applySettings(loadGlobalSettings());
   updatePlayPauseUI();
   // Modal wiring
   if (moreVoicesBtn && moreVoicesModal) {
@@ -531,42 +696,25 @@ window.onload = () => {
       localStorage.setItem('darkMode', isDark);
     });
   }
+
+  // Bring back saved documents and offer to resume the last one (library.js)
+  restoreLibrary();
 };
 
 /* ---------- Small precaution: cancel speech if page hidden/unload ---------- */
-window.addEventListener('beforeunload', ()=> speechSynthesis.cancel());
+window.addEventListener('beforeunload', ()=> activeEngine.cancel());
 document.addEventListener('visibilitychange', ()=> {
   // optional: pause when tab hidden
-  if (document.hidden && speechSynthesis.speaking) {
+  if (document.hidden && activeEngine.speaking) {
     // keep it running by default; user can pause
   }
 });
 
 /* ---------- Settings change resume helpers ---------- */
-function restartWithNewSettingsFromCurrentPosition(force=false){
-  if (restartInFlight) return;
-  // Only auto-resume if we are in playing state or explicitly forced
-  const canRestart = (isPlaying || force) && !!currentText;
-  if (!canRestart) return;
-  const chunkSize = internalChunkSize;
-  const fallback = currentIndex * chunkSize;
-  const resumeAt = (typeof lastBoundaryGlobalStart === 'number' && lastBoundaryGlobalStart >= 0) ? lastBoundaryGlobalStart : fallback;
-  // prevent previous utterance from advancing when cancelled
-  try { if (utterance) { utterance.onend = null; utterance.onerror = null; } } catch(_) {}
-  restartInFlight = true;
-  speechSynthesis.cancel();
-  if (!isPlaying && !force) return; // don't auto-resume if user had paused
-  // compute index and offset within chunk
-  const newIndex = Math.max(0, Math.floor(resumeAt / chunkSize));
-  const newBase = newIndex * chunkSize;
-  const offset = Math.max(0, resumeAt - newBase);
-  currentIndex = newIndex;
-  // small delay to let cancel settle
-  setTimeout(() => playFromCurrentChunk(offset), 60);
-}
-
+// Settings read while speaking (pronunciations, voice assignments, highlights only, sleep fade)
+// apply at the current word
 function scheduleSettingRestart(){
   if (!isPlaying) return; // if user paused, don't auto-resume
   if (settingsRestartTimer) clearTimeout(settingsRestartTimer);
-  settingsRestartTimer = setTimeout(() => restartWithNewSettingsFromCurrentPosition(false), 120);
+  settingsRestartTimer = setTimeout(() => reader.restart(), 120);
 }
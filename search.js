@@ -0,0 +1,292 @@
+/*
+  In-document search
+  - Finds text in currentText, ignoring case and differences in whitespace (so a phrase still
+    matches across a PDF line break); with "Regex" the query is a regular expression.
+  - Matches are marked in every view: a mirror behind the textarea, boxes in the read-along
+    view (only near the visible part, redrawn on scroll) and boxes inside the PDF text layer
+    (setPDFMarks), so they follow zoom and pages built later.
+  - Next/previous step through the matches; "Read from here" starts playback at a match
+    through jumpToCharIndex.
+*/
+
+const MAX_SEARCH_MATCHES = 5000;
+const MAX_SEARCH_RESULTS_LISTED = 200;
+const SEARCH_SNIPPET_CHARS = 40;
+let searchMatches = []; // {start, end}, sorted
+let searchMatchStarts = [];
+let searchIndex = -1; // current match
+let searchCapped = false; // stopped at MAX_SEARCH_MATCHES
+let searchText = null; // text the matches were found in
+let searchTimer = null;
+let searchMarksFrame = 0;
+const searchInput = $('searchInput');
+const searchRegex = $('searchRegex');
+const searchCount = $('searchCount');
+const searchPrevBtn = $('searchPrevBtn');
+const searchNextBtn = $('searchNextBtn');
+const searchReadBtn = $('searchReadBtn');
+const searchListBtn = $('searchListBtn');
+const searchResults = $('searchResults');
+const pasteBoxWrap = $('pasteBoxWrap');
+const pasteBoxMarks = $('pasteBoxMarks');
+
+/* ---------- Matching ---------- */
+// Throws SyntaxError for an invalid regex
+function searchPattern(query, regex) {
+  if (regex) {
+    try {
+      return new RegExp(query, 'giu');
+    } catch (_) {
+      return new RegExp(query, 'gi'); // patterns that are only valid without the u flag
+    }
+  }
+  return new RegExp(query.trim().split(/\s+/).map(escapeRegExp).join('\\s+'), 'gi');
+}
+
+// [{start, end}] of every non-empty match, up to limit
+function findMatches(text, re, limit = MAX_SEARCH_MATCHES) {
+  const found = [];
+  re.lastIndex = 0;
+  let m;
+  while (found.length < limit && (m = re.exec(text))) {
+    if (!m[0].length) {
+      re.lastIndex++; // empty matches would loop forever
+      continue;
+    }
+    found.push({start: m.index, end: m.index + m[0].length});
+  }
+  return found;
+}
+
+function runSearch() {
+  searchText = currentText;
+  searchMatches = [];
+  searchIndex = -1;
+  searchCapped = false;
+  clearSearchMarks();
+  const query = searchInput ? searchInput.value : '';
+  if (searchInput) searchInput.classList.remove('invalid');
+  if (query.trim() && currentText) {
+    try {
+      searchMatches = findMatches(currentText, searchPattern(query, searchRegex && searchRegex.checked));
+      searchCapped = searchMatches.length >= MAX_SEARCH_MATCHES;
+    } catch (e) {
+      if (searchInput) searchInput.classList.add('invalid');
+      updateSearchControls('Invalid pattern');
+      return;
+    }
+  }
+  searchMatchStarts = searchMatches.map(m => m.start);
+  if (searchMatches.length) {
+    // start at the first match after the reading position
+    const pos = reader.position;
+    const next = searchMatches.findIndex(m => m.start >= pos);
+    searchIndex = next >= 0 ? next : 0;
+  }
+  markPasteBoxMatches();
+  markPDFMatches();
+  renderSearchResults();
+  if (searchIndex >= 0) showSearchMatch(searchIndex);
+  else updateSearchControls(query.trim() && currentText ? 'No matches' : '');
+}
+
+// The text changed (new document, edits, PDF cleanup): search it again
+function refreshSearch() {
+  if (searchMatches.length || (searchInput && searchInput.value.trim())) runSearch();
+}
+
+/* ---------- Marking matches ---------- */
+function clearSearchMarks() {
+  if (pasteBoxMarks) pasteBoxMarks.textContent = '';
+  if (pasteBoxWrap) pasteBoxWrap.classList.remove('searching');
+  setPDFMarks('pdf-search-match', []);
+  setPDFMarks('pdf-search-current', []);
+  placeReadAlongMatches();
+}
+
+// Textarea: the same text in a mirror behind it, with <mark> around each match
+function markPasteBoxMatches() {
+  if (!pasteBoxMarks || !searchMatches.length) return;
+  const frag = document.createDocumentFragment();
+  let pos = 0;
+  searchMatches.forEach((m, i) => {
+    frag.appendChild(document.createTextNode(currentText.slice(pos, m.start)));
+    const mark = document.createElement('mark');
+    mark.dataset.idx = i;
+    mark.textContent = currentText.slice(m.start, m.end);
+    frag.appendChild(mark);
+    pos = m.end;
+  });
+  frag.appendChild(document.createTextNode(currentText.slice(pos) + '\n')); // a trailing newline still takes a line
+  pasteBoxMarks.appendChild(frag);
+  pasteBoxMarks.scrollTop = pasteBox.scrollTop;
+  if (pasteBoxWrap) pasteBoxWrap.classList.add('searching');
+}
+
+// PDF: boxes inside each page's text layer (pdf-view.js)
+function markPDFMatches() {
+  if (!isPDFMode || !pdfSpans.length) return;
+  setPDFMarks('pdf-search-match', searchMatches);
+}
+
+// Read-along: only matches around the visible part of the view are measured
+function placeReadAlongMatches() {
+  cancelAnimationFrame(searchMarksFrame);
+  if (!readAlongActive()) return;
+  const rects = [];
+  const current = [];
+  if (searchMatches.length) {
+    const [from, to] = readAlongVisibleRange();
+    for (let i = Math.max(0, findChunkIndex(searchMatchStarts, from) - 1); i < searchMatches.length && searchMatches[i].start < to; i++) {
+      if (searchMatches[i].end <= from) continue;
+      (i === searchIndex ? current : rects).push(...readAlongRects(searchMatches[i].start, searchMatches[i].end));
+    }
+  }
+  placeMarks('read-along-match', rects, 1);
+  placeMarks('read-along-match-current', current, 1);
+}
+
+function scheduleReadAlongMatches() {
+  if (!searchMatches.length) return;
+  cancelAnimationFrame(searchMarksFrame);
+  searchMarksFrame = requestAnimationFrame(placeReadAlongMatches);
+}
+
+/* ---------- Stepping through matches ---------- */
+function updateSearchControls(message) {
+  const n = searchMatches.length;
+  if (searchCount) searchCount.textContent = message !== undefined ? message : `${searchIndex + 1} of ${n}${searchCapped ? '+' : ''}`;
+  if (searchPrevBtn) searchPrevBtn.disabled = !n;
+  if (searchNextBtn) searchNextBtn.disabled = !n;
+  if (searchReadBtn) searchReadBtn.disabled = !n;
+  if (searchListBtn) searchListBtn.disabled = !n;
+  if (searchResults && !n) searchResults.style.display = 'none';
+}
+
+// Make match i the current one and bring it into view without starting playback
+function showSearchMatch(i) {
+  if (!searchMatches.length) return;
+  searchIndex = (i + searchMatches.length) % searchMatches.length;
+  const m = searchMatches[searchIndex];
+  updateSearchControls();
+  for (const el of document.querySelectorAll('.search-current')) el.classList.remove('search-current');
+  if (readAlongActive()) {
+    scrollReadAlongTo(m.start, m.end); // read-along.js
+    placeReadAlongMatches();
+  } else if (pasteBoxMarks) {
+    const mark = pasteBoxMarks.querySelector(`mark[data-idx="${searchIndex}"]`);
+    if (mark) {
+      mark.classList.add('search-current');
+      pasteBox.scrollTop = Math.max(0, mark.offsetTop - pasteBox.clientHeight / 2);
+    }
+    if (!isPlaying) try { pasteBox.setSelectionRange(m.start, m.end); } catch (_) {}
+  }
+  if (isPDFMode && pdfSpans.length) {
+    revealPDFOffset(m.start);
+    setPDFMarks('pdf-search-current', [m]);
+  }
+  const row = searchResults && searchResults.querySelector(`[data-idx="${searchIndex}"]`);
+  if (row) row.classList.add('search-current');
+}
+
+function readFromSearchMatch(i = searchIndex) {
+  const m = searchMatches[i];
+  if (!m) return;
+  searchIndex = i;
+  jumpToCharIndex(m.start);
+  updateCurrentSection(m.start);
+}
+
+function focusSearch() {
+  if (!searchInput) return;
+  searchInput.focus();
+  searchInput.select();
+}
+
+/* ---------- Result list ---------- */
+function searchSnippet(m) {
+  const before = currentText.slice(Math.max(0, m.start - SEARCH_SNIPPET_CHARS), m.start).replace(/\s+/g, ' ');
+  const after = currentText.slice(m.end, m.end + SEARCH_SNIPPET_CHARS).replace(/\s+/g, ' ');
+  const frag = document.createDocumentFragment();
+  frag.appendChild(document.createTextNode((m.start > SEARCH_SNIPPET_CHARS ? '…' : '') + before));
+  const mark = document.createElement('mark');
+  mark.textContent = currentText.slice(m.start, m.end).replace(/\s+/g, ' ');
+  frag.appendChild(mark);
+  frag.appendChild(document.createTextNode(after + (m.end + SEARCH_SNIPPET_CHARS < currentText.length ? '…' : '')));
+  return frag;
+}
+
+function renderSearchResults() {
+  if (!searchResults) return;
+  searchResults.innerHTML = '';
+  searchMatches.slice(0, MAX_SEARCH_RESULTS_LISTED).forEach((m, i) => {
+    const li = document.createElement('li');
+    li.className = 'search-result';
+    li.dataset.idx = i;
+    const go = document.createElement('button');
+    go.className = 'search-result-text';
+    go.title = 'Show this match';
+    go.appendChild(searchSnippet(m));
+    go.addEventListener('click', () => showSearchMatch(i));
+    const read = document.createElement('button');
+    read.className = 'btn ghost icon';
+    read.title = 'Read from here';
+    read.setAttribute('aria-label', 'Read from here');
+    read.innerHTML = '<i class="fa fa-play"></i>';
+    read.addEventListener('click', () => readFromSearchMatch(i));
+    li.appendChild(go);
+    li.appendChild(read);
+    searchResults.appendChild(li);
+  });
+  if (searchMatches.length > MAX_SEARCH_RESULTS_LISTED) {
+    const more = document.createElement('li');
+    more.className = 'small-muted';
+    more.textContent = `${searchMatches.length - MAX_SEARCH_RESULTS_LISTED}${searchCapped ? '+' : ''} more — use next/previous`;
+    searchResults.appendChild(more);
+  }
+}
+
+function toggleSearchResults() {
+  if (!searchResults || !searchListBtn) return;
+  const show = searchResults.style.display === 'none' && searchMatches.length > 0;
+  searchResults.style.display = show ? '' : 'none';
+  searchListBtn.setAttribute('aria-expanded', String(show));
+}
+
+/* ---------- Wiring ---------- */
+if (searchInput) {
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 200);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      clearTimeout(searchTimer);
+      if (searchText !== currentText || !searchMatches.length) runSearch();
+      else showSearchMatch(searchIndex + (e.shiftKey ? -1 : 1));
+    } else if (e.key === 'Escape') {
+      searchInput.value = '';
+      runSearch();
+    }
+  });
+}
+if (searchRegex) searchRegex.addEventListener('change', runSearch);
+if (searchPrevBtn) searchPrevBtn.addEventListener('click', () => showSearchMatch(searchIndex - 1));
+if (searchNextBtn) searchNextBtn.addEventListener('click', () => showSearchMatch(searchIndex + 1));
+if (searchReadBtn) searchReadBtn.addEventListener('click', () => readFromSearchMatch());
+if (searchListBtn) searchListBtn.addEventListener('click', toggleSearchResults);
+pasteBox.addEventListener('scroll', () => {
+  if (pasteBoxMarks) pasteBoxMarks.scrollTop = pasteBox.scrollTop;
+});
+// Edited text: the mirror no longer lines up, so search again once typing pauses
+pasteBox.addEventListener('input', () => {
+  if (!searchMatches.length && !(searchInput && searchInput.value.trim())) return;
+  clearSearchMarks();
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 400);
+});
+if (readAlong) readAlong.addEventListener('scroll', scheduleReadAlongMatches, {passive: true});
+window.addEventListener('resize', scheduleReadAlongMatches);
+
+updateSearchControls('');
@@ -0,0 +1,162 @@
+/*
+  Text segmentation
+  - Splits text into sentences (Intl.Segmenter where available, regex fallback).
+  - Packs sentences into playback chunks that end on sentence/paragraph boundaries.
+  - Chunks are contiguous slices of the source text, so a chunk-start table maps
+    any global character index back to its chunk exactly.
+*/
+
+/* ---------- Sentence splitting ---------- */
+// Lower-cased tokens (without the trailing dot) that usually do not end a sentence.
+// Titles and references are followed by a name or number, so they never end one.
+// "No."/"Nos." only count before a number ("No. 5"; "He said no." ends a sentence).
+const TITLE_ABBREVIATIONS = new Set([
+  'mr','mrs','ms','dr','prof','st','mt','gen','gov','sen','rep','rev','capt','col','lt','sgt',
+  'fig','figs','vol','vols','p','pp','ch','sec','vs','cf'
+]);
+const NUMBER_ABBREVIATIONS = new Set(['no','nos']);
+const SENTENCE_ABBREVIATIONS = new Set([
+  ...TITLE_ABBREVIATIONS,
+  'sr','jr','ft','etc','e.g','i.e','al','ed','eds','approx','dept','inc','ltd','co','corp',
+  'jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec','u.s','u.k','a.m','p.m'
+]);
+
+let sentenceSegmenter = null;
+try {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    sentenceSegmenter = new Intl.Segmenter(undefined, {granularity:'sentence'});
+  }
+} catch (_) { sentenceSegmenter = null; }
+
+// Classify how a sentence piece ends, given the text after it: 'title' ("Dr.", "No. 5")
+// always continues, 'abbr' ("etc.") continues only before a lowercase word, '' is a real stop
+function abbreviationKind(piece, next) {
+  const m = /(?:^|[\s(\["'])([A-Za-z](?:[A-Za-z.]*[A-Za-z])?)\.\s*$/.exec(piece);
+  if (!m) return '';
+  const word = m[1].toLowerCase();
+  if (NUMBER_ABBREVIATIONS.has(word)) return /^\s*\d/.test(next) ? 'title' : '';
+  if (/^[A-Z]$/.test(m[1])) return isNameInitial(piece.slice(0, m.index + m[0].lastIndexOf(m[1])), next) ? 'title' : '';
+  if (TITLE_ABBREVIATIONS.has(word)) return 'title';
+  return SENTENCE_ABBREVIATIONS.has(word) ? 'abbr' : '';
+}
+
+// A capital letter and dot is an initial ("J. R. R. Tolkien", "John F. Kennedy") when another
+// initial follows, or a surname does and it starts the sentence or follows a capitalised word.
+// A surname is a capitalised word the sentence goes on after, so "Plan A. Plan B. Done." and
+// "The answer is I. Next." are real stops (and so is a name that ends its sentence).
+function isNameInitial(before, next) {
+  if (/^\s*[A-Z]\./.test(next)) return true;
+  if (!/^\s*["'“(]?\p{Lu}[\p{L}'’-]+(?![\p{L}'’.!?…-]|\s+\p{Lu}\.)/u.test(next)) return false;
+  const prev = /(\S+)\s*$/.exec(before);
+  return !prev || /^["'“(]?[A-ZÀ-Þ]/.test(prev[1]);
+}
+
+function rawSentenceRanges(text) {
+  const ranges = [];
+  if (sentenceSegmenter) {
+    for (const seg of sentenceSegmenter.segment(text)) {
+      ranges.push([seg.index, seg.index + seg.segment.length]);
+    }
+    return ranges;
+  }
+  // Fallback: terminal punctuation (plus closing quotes/brackets) followed by whitespace,
+  // or a paragraph break
+  const re = /[.!?…]+["'”’)\]]*\s+|\n\s*\n\s*/g;
+  let start = 0, m;
+  while ((m = re.exec(text))) {
+    const end = m.index + m[0].length;
+    ranges.push([start, end]);
+    start = end;
+  }
+  if (start < text.length) ranges.push([start, text.length]);
+  return ranges;
+}
+
+// Returns contiguous [start, end) ranges covering the whole text
+function segmentSentences(text) {
+  if (!text) return [];
+  const raw = rawSentenceRanges(text);
+  const out = [];
+  for (const r of raw) {
+    const prev = out[out.length - 1];
+    if (prev) {
+      const prevText = text.slice(prev[0], prev[1]);
+      const nextText = text.slice(r[0], r[1]);
+      const nextChar = nextText.trimStart().charAt(0);
+      // Merge abbreviation breaks unless a line break separates them
+      const kind = /\n/.test(prevText) ? '' : abbreviationKind(prevText, nextText);
+      const continues = nextChar && !/[A-ZÀ-Þ"'“(]/.test(nextChar);
+      if (kind === 'title' || (kind === 'abbr' && continues)) {
+        prev[1] = r[1];
+        continue;
+      }
+    }
+    out.push([r[0], r[1]]);
+  }
+  return out;
+}
+
+/* ---------- Chunk table ---------- */
+// Split an over-long range at the last whitespace before maxLen (never mid-word if avoidable)
+function splitLongRange(text, start, end, maxLen) {
+  const parts = [];
+  let s = start;
+  while (end - s > maxLen) {
+    let cut = s + maxLen;
+    const window = text.slice(s, cut);
+    const ws = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\n'), window.lastIndexOf('\t'));
+    if (ws > maxLen / 4) cut = s + ws + 1;
+    parts.push([s, cut]);
+    s = cut;
+  }
+  if (s < end) parts.push([s, end]);
+  return parts;
+}
+
+/**
+ * Pack sentences into chunks of at most maxLen characters.
+ * Returns {chunks, starts}: chunks[i] === text.slice(starts[i], starts[i+1] ?? text.length).
+ */
+function buildChunkTable(text, maxLen) {
+  const chunks = [];
+  const starts = [];
+  if (!text) return {chunks, starts};
+  maxLen = Math.max(200, maxLen || 3000);
+  let chunkStart = 0;
+  let chunkEnd = 0;
+  const close = () => {
+    if (chunkEnd > chunkStart) {
+      starts.push(chunkStart);
+      chunks.push(text.slice(chunkStart, chunkEnd));
+    }
+    chunkStart = chunkEnd;
+  };
+  for (const [s, e] of segmentSentences(text)) {
+    if (e - s > maxLen) {
+      close();
+      for (const [, pe] of splitLongRange(text, s, e, maxLen)) {
+        chunkEnd = pe;
+        if (pe < e) close();
+      }
+      continue;
+    }
+    if (e - chunkStart > maxLen) close();
+    chunkEnd = e;
+    // Prefer ending at a paragraph break once the chunk is reasonably full
+    if (chunkEnd - chunkStart >= maxLen / 2 && /\n\s*\n\s*$/.test(text.slice(Math.max(chunkStart, s - 8), e))) close();
+  }
+  chunkEnd = text.length;
+  close();
+  return {chunks, starts};
+}
+
+// Index of the chunk containing global char index idx (binary search over starts)
+function findChunkIndex(starts, idx) {
+  let lo = 0, hi = starts.length - 1, ans = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (starts[mid] <= idx) { ans = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return ans;
+}
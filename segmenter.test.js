@@ -0,0 +1,35 @@
+/*
+  Segmenter tests (node --test)
+  - Loads segmenter.js as a classic script and checks where sentences end.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'segmenter.js'), 'utf8'), context, {filename: 'segmenter.js'});
+const segmentSentences = vm.runInContext('segmentSentences', context);
+
+// Array.from: arrays made inside the context fail deepStrictEqual against ones made here
+const sentences = text => Array.from(segmentSentences(text), ([start, end]) => text.slice(start, end));
+
+test('abbreviations and numbers do not end a sentence', () => {
+  assert.deepStrictEqual(sentences('Dr. Smith lives at No. 5 Main St. now. He is out.'),
+    ['Dr. Smith lives at No. 5 Main St. now. ', 'He is out.']);
+  assert.deepStrictEqual(sentences('I said no. Then I left.'), ['I said no. ', 'Then I left.']);
+});
+
+test('initials stay in the name', () => {
+  assert.deepStrictEqual(sentences('J. R. R. Tolkien wrote it. Then he slept.'),
+    ['J. R. R. Tolkien wrote it. ', 'Then he slept.']);
+  assert.deepStrictEqual(sentences('John F. Kennedy was president. Yes.'),
+    ['John F. Kennedy was president. ', 'Yes.']);
+});
+
+test('a single capital without a name after it ends the sentence', () => {
+  assert.deepStrictEqual(sentences('Plan A. Plan B. Done.'), ['Plan A. ', 'Plan B. ', 'Done.']);
+  assert.deepStrictEqual(sentences('The answer is I. Next comes more.'), ['The answer is I. ', 'Next comes more.']);
+});
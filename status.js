@@ -0,0 +1,128 @@
+/*
+  Status banners
+  - Non-blocking messages above the reader instead of alert(): load failures, speech errors,
+    missing voices. A banner stays until dismissed (or its timeout); showing the same key again
+    replaces it, so a repeated failure does not stack up.
+  - loadErrorMessage turns load errors into specific messages: password-protected or damaged
+    PDFs, damaged EPUB/DOCX archives, text in an encoding that cannot be read.
+  - askForPassword prompts for a PDF's password in a banner (PDF.js onPassword, pdf-view.js).
+*/
+
+const statusBanners = $('statusBanners');
+const openStatusBanners = new Map(); // key -> banner element
+const STATUS_ICONS = {error: 'fa-exclamation-circle', warning: 'fa-exclamation-triangle', info: 'fa-info-circle'};
+
+/**
+ * Show a banner under key. options: {kind: 'error'|'warning'|'info', actions: [{label, icon, run}],
+ * content: element shown after the message, timeout: ms until it hides, ondismiss}
+ */
+function showStatus(key, message, options = {}) {
+  if (!statusBanners) return null;
+  hideStatus(key);
+  const kind = options.kind || 'error';
+  const banner = document.createElement('div');
+  banner.className = `banner status-banner status-${kind}`;
+  banner.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+  const icon = document.createElement('i');
+  icon.className = `fa ${STATUS_ICONS[kind] || STATUS_ICONS.info}`;
+  const text = document.createElement('span');
+  text.className = 'status-message';
+  text.textContent = message;
+  banner.append(icon, text);
+  if (options.content) banner.appendChild(options.content);
+  const buttons = document.createElement('div');
+  buttons.className = 'status-actions';
+  for (const action of options.actions || []) {
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost small-btn';
+    btn.innerHTML = action.icon ? `<i class="fa ${action.icon}"></i> ` : '';
+    btn.append(action.label);
+    btn.addEventListener('click', () => {
+      hideStatus(key);
+      action.run();
+    });
+    buttons.appendChild(btn);
+  }
+  const dismiss = document.createElement('button');
+  dismiss.className = 'btn ghost icon';
+  dismiss.setAttribute('aria-label', 'Dismiss');
+  dismiss.innerHTML = '<i class="fa fa-times"></i>';
+  dismiss.addEventListener('click', () => {
+    hideStatus(key);
+    if (typeof options.ondismiss === 'function') options.ondismiss();
+  });
+  buttons.appendChild(dismiss);
+  banner.appendChild(buttons);
+  if (options.timeout) banner.dataset.timer = setTimeout(() => hideStatus(key), options.timeout);
+  openStatusBanners.set(key, banner);
+  statusBanners.appendChild(banner);
+  return banner;
+}
+
+function hideStatus(key) {
+  const banner = openStatusBanners.get(key);
+  if (!banner) return;
+  clearTimeout(Number(banner.dataset.timer));
+  banner.remove();
+  openStatusBanners.delete(key);
+}
+
+/* ---------- Error messages ---------- */
+const NO_VOICES_MESSAGE = 'No speech voices are available in this browser. Install voices for your system (or speech-dispatcher on Linux), or switch the engine to eSpeak NG.';
+
+// An Error whose name says what went wrong (loadErrorMessage picks the message by name)
+function namedError(name, message) {
+  const e = new Error(message);
+  e.name = name;
+  return e;
+}
+
+// A specific, readable message for an error thrown while opening name
+function loadErrorMessage(e, name) {
+  switch (e && e.name) {
+    case 'PasswordException':
+      return `“${name}” is password-protected and was not opened. Open it again to enter the password.`;
+    case 'InvalidPDFException':
+      return `“${name}” is damaged or not a PDF, so it could not be opened.`;
+    case 'CorruptFileError':
+      return `“${name}” is damaged or not a valid ${fileKindLabel(name)} file (${e.message}).`;
+    case 'EncodingError':
+      return `“${name}” does not read as text in the detected or chosen encoding. Pick its encoding under Text encoding and open it again.`;
+    case 'ImageError':
+      return `“${name}” could not be opened as an image; the file may be damaged.`;
+    default:
+      return `Could not open “${name}”: ${(e && e.message) || e}`;
+  }
+}
+
+function fileKindLabel(name) {
+  const ext = (name || '').toLowerCase().split('.').pop();
+  return ['epub', 'docx', 'pdf'].includes(ext) ? ext.toUpperCase() : 'document';
+}
+
+/* ---------- Password prompt ---------- */
+// Resolves to the password typed for name, or null when the prompt is dismissed.
+// retry: the previous password was wrong
+function askForPassword(name, retry) {
+  return new Promise(resolve => {
+    const form = document.createElement('form');
+    form.className = 'status-password';
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', `Password for ${name}`);
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn small-btn';
+    submit.innerHTML = '<i class="fa fa-unlock"></i> Open';
+    form.append(input, submit);
+    form.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      hideStatus(`password:${name}`);
+      resolve(input.value);
+    });
+    const message = retry ? `Wrong password for “${name}”. Try again:` : `“${name}” is password-protected. Enter its password:`;
+    showStatus(`password:${name}`, message, {kind: 'warning', content: form, ondismiss: () => resolve(null)});
+    input.focus();
+  });
+}
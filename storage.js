@@ -0,0 +1,138 @@
+/*
+  Library storage (IndexedDB)
+  - Documents are keyed by a SHA-256 hash of their content, so re-opening the same file
+    finds its saved reading position and settings.
+  - Records: {hash, name, size, type, kind, text, structure, encoding, blob, ocr, position, page,
+    snippet, voice, rate, volume, addedAt, updatedAt}. PDFs and images keep the original blob so
+    the page view can be rebuilt (and their OCR words, so scans are not recognized twice); text
+    documents only need their text (and the encoding it was decoded with).
+  - Annotations (annotations.js) live in their own store, indexed by document hash:
+    {id, hash, type:'bookmark'|'highlight', start, end, text, note, page, createdAt}.
+*/
+
+const DB_NAME = 'tts-reader';
+const DB_VERSION = 2;
+const DOC_STORE = 'documents';
+const ANNOTATION_STORE = 'annotations';
+let dbPromise = null;
+
+function openLibraryDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((res, rej) => {
+    if (typeof indexedDB === 'undefined') return rej(new Error('IndexedDB not available'));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(DOC_STORE)) {
+        const store = db.createObjectStore(DOC_STORE, {keyPath: 'hash'});
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (!db.objectStoreNames.contains(ANNOTATION_STORE)) {
+        const store = db.createObjectStore(ANNOTATION_STORE, {keyPath: 'id'});
+        store.createIndex('hash', 'hash');
+      }
+    };
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((res, rej) => {
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+async function docStore(mode, name = DOC_STORE) {
+  const db = await openLibraryDB();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+async function getStoredDocument(hash) {
+  return idbRequest((await docStore('readonly')).get(hash));
+}
+
+async function listStoredDocuments() {
+  const all = await idbRequest((await docStore('readonly')).getAll());
+  return all.sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+}
+
+async function putStoredDocument(record) {
+  return idbRequest((await docStore('readwrite')).put(record));
+}
+
+// Merge fields into an existing record (no-op if it was deleted meanwhile)
+async function updateStoredDocument(hash, fields) {
+  const store = await docStore('readwrite');
+  const rec = await idbRequest(store.get(hash));
+  if (!rec) return;
+  Object.assign(rec, fields, {updatedAt: Date.now()});
+  return idbRequest(store.put(rec));
+}
+
+async function deleteStoredDocument(hash) {
+  return idbRequest((await docStore('readwrite')).delete(hash));
+}
+
+async function clearStoredDocuments() {
+  return idbRequest((await docStore('readwrite')).clear());
+}
+
+/* ---------- Annotations ---------- */
+async function listStoredAnnotations(hash) {
+  return idbRequest((await docStore('readonly', ANNOTATION_STORE)).index('hash').getAll(hash));
+}
+
+async function putStoredAnnotation(record) {
+  return idbRequest((await docStore('readwrite', ANNOTATION_STORE)).put(record));
+}
+
+async function deleteStoredAnnotation(id) {
+  return idbRequest((await docStore('readwrite', ANNOTATION_STORE)).delete(id));
+}
+
+async function deleteStoredAnnotationsFor(hash) {
+  const store = await docStore('readwrite', ANNOTATION_STORE);
+  const keys = await idbRequest(store.index('hash').getAllKeys(hash));
+  await Promise.all(keys.map(key => idbRequest(store.delete(key))));
+}
+
+async function clearStoredAnnotations() {
+  return idbRequest((await docStore('readwrite', ANNOTATION_STORE)).clear());
+}
+
+/* ---------- Hashing & quota ---------- */
+function bytesToHex(buf) {
+  return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA-256 where SubtleCrypto exists (secure contexts); FNV-1a otherwise
+async function hashContent(blob) {
+  const data = await blob.arrayBuffer();
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    return bytesToHex(await crypto.subtle.digest('SHA-256', data));
+  }
+  let h = 0x811c9dc5;
+  const bytes = new Uint8Array(data);
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= bytes[i];
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `fnv-${h.toString(16)}-${bytes.length}`;
+}
+
+async function estimateStorage() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const {usage = 0, quota = 0} = await navigator.storage.estimate();
+  return {usage, quota};
+}
+
+// Ask the browser not to evict the library under storage pressure
+function requestPersistentStorage() {
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+}
@@ -0,0 +1,123 @@
+/*
+  Service worker
+  - Precaches the app shell (page, styles, scripts, vendored PDF.js, Font Awesome and
+    OpenDyslexic, icons) so the reader opens and loads documents with no network.
+  - The large vendor files (eSpeak NG, lamejs, tesseract.js) are cached the first time they load.
+  - Cached files are served first and refreshed in the background; bump CACHE_VERSION when
+    files are added to or removed from SHELL_FILES.
+  - Files shared to the installed app (manifest share_target) are parked in a cache and the
+    page picks them up (pwa.js).
+*/
+
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `reader-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'reader-runtime';
+const SHARED_FILES_CACHE = 'reader-shared-files'; // also read by pwa.js
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './style.css',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './segmenter.js',
+  './normalize.js',
+  './language.js',
+  './engines.js',
+  './pdf-cleanup.js',
+  './formats.js',
+  './ocr.js',
+  './storage.js',
+  './reader-core.js',
+  './script.js',
+  './status.js',
+  './pdf-view.js',
+  './outline.js',
+  './read-along.js',
+  './search.js',
+  './progress.js',
+  './library.js',
+  './import.js',
+  './annotations.js',
+  './transcript.js',
+  './controls.js',
+  './pronunciation.js',
+  './voices.js',
+  './pwa.js',
+  './vendor/pdfjs/pdf.min.js',
+  './vendor/pdfjs/pdf.worker.min.js',
+  './vendor/fontawesome/css/all.min.css',
+  './vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  './vendor/fontawesome/webfonts/fa-regular-400.woff2',
+  './vendor/fontawesome/webfonts/fa-brands-400.woff2',
+  './vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+  './vendor/opendyslexic/opendyslexic-latin-400-normal.woff2',
+  './vendor/opendyslexic/opendyslexic-latin-700-normal.woff2'
+];
+const SHELL_URLS = new Set(SHELL_FILES.map(f => new URL(f, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('reader-shell-') && key !== SHELL_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Store files shared to the app, then open the page with the shared text in the URL
+async function receiveShare(request) {
+  const form = await request.formData();
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  let n = 0;
+  for (const file of form.getAll('files')) {
+    if (typeof file === 'string') continue;
+    await cache.put(new URL(`shared/${Date.now()}-${n++}`, self.registration.scope).href, new Response(file, {
+      headers: {'Content-Type': file.type || 'application/octet-stream', 'X-File-Name': encodeURIComponent(file.name || 'shared')}
+    }));
+  }
+  const params = new URLSearchParams({'share-target': '1'});
+  for (const key of ['title', 'text', 'url']) {
+    const value = form.get(key);
+    if (value) params.set(key, value);
+  }
+  return Response.redirect(new URL(`./?${params}`, self.registration.scope).href, 303);
+}
+
+async function fromCache(event) {
+  const request = event.request;
+  const url = new URL(request.url);
+  const navigate = request.mode === 'navigate';
+  const key = navigate ? new URL('./', self.registration.scope).href : url.href.replace(/[?#].*$/, '');
+  const cacheName = SHELL_URLS.has(key) ? SHELL_CACHE : RUNTIME_CACHE;
+  const cached = await caches.match(key);
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok && response.type === 'basic') {
+      const cache = await caches.open(cacheName);
+      await cache.put(key, response.clone());
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {})); // offline: keep serving the cached copy
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+  event.respondWith(fromCache(event));
+});
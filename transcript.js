@@ -0,0 +1,358 @@
+/*
+  Timed transcript
+  - With "Record timing" on, word boundaries are timed while playing and folded into one cue
+    per sentence: how long it took from its first word to the first word of the next one.
+  - Only sentences heard from start to end in one go are kept. Pauses stop the clock; seeks,
+    jumps and settings restarts (reader.restart, script.js) break the run, so
+    the interrupted sentence is dropped and timed again when it is next heard.
+  - Exports lay the timed sentences end to end in reading order: WebVTT, SRT, or an EPUB3
+    package of the document with SMIL media overlays (plus the narration audio, if chosen).
+    They need every sentence timed: with one missing, every later time would be off from the audio.
+  - Timing is kept per text in memory (on the document while it is open), not in storage.
+*/
+
+const TIMING_AUDIO_NAME = 'narration.mp3'; // placeholder name when no audio file is chosen
+let timingEnabled = localStorage.getItem('recordTiming') === '1';
+let timing = null; // {text, cues: Map(sentence start -> {start, end, ms})} of currentText
+let timingRun = null; // {sentence: {start, end, t0, partial}, lastPos} while a run is being heard
+let timingExpectedAt = -1; // offset where the next chunk continues a run
+let timingClockMs = 0; // speaking time on the clock, excluding pauses
+let timingClockSince = null; // performance.now() when the clock last started
+const recordTimingToggle = $('recordTimingToggle');
+const timingStatus = $('timingStatus');
+const exportVttBtn = $('exportVttBtn');
+const exportSrtBtn = $('exportSrtBtn');
+const exportEpubBtn = $('exportEpubBtn');
+const clearTimingBtn = $('clearTimingBtn');
+const timingAudioInput = $('timingAudioInput');
+
+/* ---------- Recording ---------- */
+// The cues of the text being read (a new, empty set when the text changed)
+function timingRecord() {
+  if (timing && timing.text === currentText) return timing;
+  if (timing && textAppendedAfter(timing.text)) { // PDF pages arriving: the cues still hold
+    timing.text = currentText;
+    return timing;
+  }
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  if (doc && doc.timing && doc.timing.text === currentText) timing = doc.timing;
+  else timing = {text: currentText, cues: new Map()};
+  if (doc) doc.timing = timing;
+  timingRun = null;
+  return timing;
+}
+
+function timingNow() {
+  return timingClockMs + (timingClockSince === null ? 0 : performance.now() - timingClockSince);
+}
+
+// Start or stop the clock with playback (called from updatePlayPauseUI)
+function syncTimingClock() {
+  if (isPlaying && timingClockSince === null) {
+    timingClockSince = performance.now();
+  } else if (!isPlaying && timingClockSince !== null) {
+    timingClockMs += performance.now() - timingClockSince;
+    timingClockSince = null;
+  }
+  updateTimingStatus();
+}
+
+function commitTimingSentence(sentence, now) {
+  if (sentence.partial) return;
+  timingRecord().cues.set(sentence.start, {start: sentence.start, end: sentence.end, ms: Math.max(1, now - sentence.t0)});
+}
+
+function startTimingSentence(pos, now, s = sentenceAround(pos)) { // read-along.js
+  // a run that starts mid-sentence (resume, double-click) cannot time it
+  const partial = /\S/.test(currentText.slice(s.start, pos));
+  timingRun = {sentence: Object.assign(s, {t0: now, partial}), lastPos: pos};
+}
+
+// Every word boundary while playing (script.js)
+function recordTiming(pos) {
+  if (!timingEnabled) return;
+  timingRecord();
+  const now = timingNow();
+  const run = timingRun;
+  if (!run || pos < run.lastPos) { // first word of a run, or it went back (a restart)
+    startTimingSentence(pos, now);
+    return;
+  }
+  const cur = run.sentence;
+  run.lastPos = pos;
+  const s = sentenceAround(pos);
+  if (s.start === cur.start) return;
+  // the next sentence right after it (nothing skipped): cur is complete
+  if (s.start >= cur.end && !/\S/.test(currentText.slice(cur.end, s.start))) commitTimingSentence(cur, now);
+  startTimingSentence(pos, now, s);
+  updateTimingStatus();
+}
+
+// A chunk starts speaking at offset base; anything but the continuation of the last one breaks the run
+function timingChunkStart(base) {
+  if (base !== timingExpectedAt) timingRun = null;
+  timingExpectedAt = -1;
+}
+
+// A chunk was spoken to its end: its last sentence ends now
+function timingChunkEnd(end) {
+  if (!timingEnabled || !timingRun) return;
+  const cur = timingRun.sentence;
+  if (!/\S/.test(currentText.slice(cur.end, end))) commitTimingSentence(cur, timingNow());
+  timingRun = null;
+  timingExpectedAt = end;
+  updateTimingStatus();
+}
+
+function clearTiming() {
+  timingRecord().cues.clear();
+  timingRun = null;
+  updateTimingStatus();
+}
+
+function setTimingEnabled(on) {
+  timingEnabled = on;
+  timingRun = null;
+  localStorage.setItem('recordTiming', on ? '1' : '0');
+  updateTimingStatus();
+}
+
+/* ---------- Cues ---------- */
+// Timed sentences in reading order, laid end to end: [{start, end, text, begin, finish}] in seconds
+function timingCues() {
+  const cues = [...timingRecord().cues.values()].sort((a, b) => a.start - b.start);
+  let t = 0;
+  return cues.map(c => {
+    const begin = t;
+    t += c.ms / 1000;
+    return {start: c.start, end: c.end, text: currentText.slice(c.start, c.end).replace(/\s+/g, ' ').trim(), begin, finish: t};
+  });
+}
+
+// Sentences of the text with words to time, and how many of them are not timed yet
+function timingCoverage() {
+  const cues = timingRecord().cues;
+  const starts = [...new Set(sentenceStarts())]; // outline.js
+  const spoken = starts.filter((s, i) => /[\p{L}\p{N}]/u.test(currentText.slice(s, starts[i + 1])));
+  return {total: spoken.length, missing: spoken.filter(s => !cues.has(s)).length};
+}
+
+function updateTimingStatus() {
+  const n = timingRecord().cues.size;
+  const {total, missing} = timingCoverage();
+  if (timingStatus) {
+    if (n) {
+      const cues = timingCues();
+      const left = missing ? `; play the other ${missing} to export` : '';
+      timingStatus.textContent = `${n} of ${total} sentence${total === 1 ? '' : 's'} timed (${formatDuration(cues[cues.length - 1].finish)})${left}`; // progress.js
+    } else {
+      timingStatus.textContent = timingEnabled ? 'Timing is recorded while playing' : '';
+    }
+  }
+  for (const btn of [exportVttBtn, exportSrtBtn, exportEpubBtn]) if (btn) btn.disabled = !n || missing > 0;
+  if (clearTimingBtn) clearTimingBtn.disabled = !n;
+}
+
+/* ---------- WebVTT / SRT ---------- */
+function cueTimestamp(seconds, sep) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (v, n = 2) => String(v).padStart(n, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function transcriptVTT(cues) {
+  const lines = ['WEBVTT', ''];
+  cues.forEach((c, i) => {
+    // "-->" may not appear in cue text
+    lines.push(String(i + 1), `${cueTimestamp(c.begin, '.')} --> ${cueTimestamp(c.finish, '.')}`, c.text.replace(/-->/g, '->'), '');
+  });
+  return lines.join('\n');
+}
+
+function transcriptSRT(cues) {
+  const lines = [];
+  cues.forEach((c, i) => {
+    lines.push(String(i + 1), `${cueTimestamp(c.begin, ',')} --> ${cueTimestamp(c.finish, ',')}`, c.text, '');
+  });
+  return lines.join('\n');
+}
+
+/* ---------- EPUB3 + media overlays ---------- */
+function escapeXML(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'}[ch]));
+}
+
+// SMIL clock value (hh:mm:ss.mmm)
+function smilClock(seconds) {
+  return cueTimestamp(seconds, '.');
+}
+
+// XHTML body: one <p> per paragraph, timed sentences wrapped in <span id="sN">
+function transcriptXHTML(title, cues) {
+  const byStart = new Map(cues.map((c, i) => [c.start, Object.assign({id: `s${i + 1}`}, c)]));
+  const paras = [];
+  const re = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g; // paragraphs = runs of non-blank lines
+  const starts = sentenceStarts();
+  let m;
+  while ((m = re.exec(currentText))) {
+    if (!m[0].trim()) continue;
+    const pStart = m.index;
+    const pEnd = m.index + m[0].length;
+    let html = '';
+    let pos = pStart;
+    for (let i = Math.max(0, findChunkIndex(starts, pStart)); i < starts.length && starts[i] < pEnd; i++) {
+      const cue = byStart.get(starts[i]);
+      if (!cue || cue.start < pStart) continue;
+      const end = Math.min(cue.end, pEnd);
+      html += escapeXML(currentText.slice(pos, cue.start));
+      html += `<span id="${cue.id}">${escapeXML(currentText.slice(cue.start, end))}</span>`;
+      pos = end;
+    }
+    html += escapeXML(currentText.slice(pos, pEnd));
+    paras.push(`    <p>${html.replace(/\n/g, '<br/>')}</p>`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+  <head>
+    <title>${escapeXML(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+  </head>
+  <body>
+    <h1>${escapeXML(title)}</h1>
+${paras.join('\n')}
+  </body>
+</html>
+`;
+}
+
+function transcriptSMIL(cues, audioName) {
+  const pars = cues.map((c, i) => `      <par id="p${i + 1}">
+        <text src="text.xhtml#s${i + 1}"/>
+        <audio src="audio/${escapeXML(audioName)}" clipBegin="${smilClock(c.begin)}" clipEnd="${smilClock(c.finish)}"/>
+      </par>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+  <body>
+    <seq id="seq1" epub:textref="text.xhtml" epub:type="bodymatter">
+${pars.join('\n')}
+    </seq>
+  </body>
+</smil>
+`;
+}
+
+function transcriptOPF(title, lang, duration, audioName, audioType) {
+  const uuid = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+  const id = `urn:uuid:${uuid}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" xml:lang="${escapeXML(lang)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="bookid">${escapeXML(id)}</dc:identifier>
+    <dc:title>${escapeXML(title)}</dc:title>
+    <dc:language>${escapeXML(lang)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="media:duration">${smilClock(duration)}</meta>
+    <meta property="media:duration" refines="#text-mo">${smilClock(duration)}</meta>
+    <meta property="media:active-class">-epub-media-overlay-active</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+    <item id="text" href="text.xhtml" media-type="application/xhtml+xml" media-overlay="text-mo"/>
+    <item id="text-mo" href="text.smil" media-type="application/smil+xml"/>
+    <item id="audio" href="audio/${escapeXML(audioName)}" media-type="${escapeXML(audioType)}"/>
+  </manifest>
+  <spine>
+    <itemref idref="text"/>
+  </spine>
+</package>
+`;
+}
+
+function transcriptNav(title) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+  <head><title>${escapeXML(title)}</title></head>
+  <body>
+    <nav epub:type="toc"><ol><li><a href="text.xhtml">${escapeXML(title)}</a></li></ol></nav>
+  </body>
+</html>
+`;
+}
+
+async function transcriptEPUB(cues) {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const title = doc ? doc.name.replace(/\.[^.]+$/, '') : 'Reading';
+  const voice = selectedVoice();
+  const lang = (voice && voice.lang) || document.documentElement.lang || 'en';
+  const audio = timingAudioInput && timingAudioInput.files && timingAudioInput.files[0];
+  const audioName = audio ? audio.name.replace(/[^\w.-]+/g, '_') : TIMING_AUDIO_NAME;
+  const audioType = audio && audio.type ? audio.type : 'audio/mpeg';
+  const files = [
+    {name: 'mimetype', data: 'application/epub+zip'}, // first and uncompressed, as EPUB requires
+    {name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`},
+    {name: 'OEBPS/content.opf', data: transcriptOPF(title, lang, cues[cues.length - 1].finish, audioName, audioType)},
+    {name: 'OEBPS/nav.xhtml', data: transcriptNav(title)},
+    {name: 'OEBPS/style.css', data: '.-epub-media-overlay-active { background-color: #fde68a; }\n'},
+    {name: 'OEBPS/text.xhtml', data: transcriptXHTML(title, cues)},
+    {name: 'OEBPS/text.smil', data: transcriptSMIL(cues, audioName)}
+  ];
+  if (audio) files.push({name: `OEBPS/audio/${audioName}`, data: new Uint8Array(await audio.arrayBuffer())});
+  return {blob: writeZip(files), audioName, hasAudio: !!audio};
+}
+
+/* ---------- Export ---------- */
+function downloadTranscript(blob, ext) {
+  const doc = typeof activeDocument === 'function' ? activeDocument() : null;
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${doc ? doc.name.replace(/\.[^.]+$/, '') : 'reading'}.${ext}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+}
+
+async function exportTranscript(format) {
+  const cues = timingCues();
+  if (!cues.length) return;
+  const {missing} = timingCoverage();
+  if (missing) {
+    showStatus('timing', `${missing} sentence${missing === 1 ? ' is' : 's are'} not timed yet, so the cues would not line up with the audio. Play them with Record timing on, then export again.`, {kind: 'warning'});
+    return;
+  }
+  if (format === 'vtt') return downloadTranscript(new Blob([transcriptVTT(cues)], {type: 'text/vtt'}), 'vtt');
+  if (format === 'srt') return downloadTranscript(new Blob([transcriptSRT(cues)], {type: 'application/x-subrip'}), 'srt');
+  try {
+    const epub = await transcriptEPUB(cues);
+    downloadTranscript(epub.blob, 'epub');
+    if (!epub.hasAudio && timingStatus) timingStatus.textContent = `Saved without audio: add the narration as OEBPS/audio/${epub.audioName}`;
+  } catch (e) {
+    console.error('EPUB export failed', e);
+    alert(`Could not build the EPUB: ${e.message || e}`);
+  }
+}
+
+/* ---------- Wiring ---------- */
+if (recordTimingToggle) {
+  recordTimingToggle.checked = timingEnabled;
+  recordTimingToggle.addEventListener('change', () => setTimingEnabled(recordTimingToggle.checked));
+}
+if (exportVttBtn) exportVttBtn.addEventListener('click', () => exportTranscript('vtt'));
+if (exportSrtBtn) exportSrtBtn.addEventListener('click', () => exportTranscript('srt'));
+if (exportEpubBtn) exportEpubBtn.addEventListener('click', () => exportTranscript('epub'));
+if (clearTimingBtn) clearTimingBtn.addEventListener('click', clearTiming);
+
+updateTimingStatus();
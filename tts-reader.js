@@ -0,0 +1,176 @@
+/*
+  <tts-reader> element
+  - Wraps a Reader (reader-core.js) in a small player: play/pause, stop, speed, and the text with
+    the spoken word highlighted (a rectangle measured from a Range, as in the read-along view).
+  - Text comes from the element's own text content, a text file at the src attribute, or
+    load(source). Attributes: src, voice (a voice name), rate; controls="none" hides the bar.
+  - Forwards load/play/pause/stop/seek/setVoice/setRate to the reader and re-dispatches its
+    events (load, boundary, chunkend, statechange, error) from the element; .reader is the core.
+  - Needs segmenter.js, engines.js and reader-core.js (normalize.js optional) on the page.
+*/
+
+const TTS_READER_EVENTS = ['load', 'boundary', 'chunkend', 'statechange', 'error'];
+const TTS_READER_STYLE = `
+  :host{display:block;font:16px/1.6 system-ui,sans-serif;color:inherit}
+  :host([hidden]){display:none}
+  .bar{display:flex;align-items:center;gap:8px;margin-bottom:8px}
+  :host([controls="none"]) .bar{display:none}
+  button{font:inherit;padding:4px 12px;border-radius:6px;border:1px solid #c7ccd4;background:#f8fafc;cursor:pointer}
+  button:disabled{opacity:.5;cursor:default}
+  label{display:flex;align-items:center;gap:6px;font-size:13px}
+  .text{position:relative;white-space:pre-wrap;overflow:auto;max-height:var(--tts-reader-height, 24em)}
+  .body{position:relative}
+  .word{position:absolute;display:none;pointer-events:none;border-radius:3px;background:var(--tts-reader-highlight, rgba(250,204,21,.45))}
+`;
+
+class TTSReaderElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'voice', 'rate'];
+  }
+
+  constructor() {
+    super();
+    this.reader = new Reader();
+    this.textNode = null;
+    const root = this.attachShadow({mode: 'open'});
+    root.innerHTML = `<style>${TTS_READER_STYLE}</style>
+      <div class="bar" part="controls">
+        <button class="play" type="button" part="play-button" disabled>Play</button>
+        <button class="stop" type="button" part="stop-button" disabled>Stop</button>
+        <label>Speed <input class="rate" type="range" min="0.5" max="2" step="0.05" value="1"></label>
+      </div>
+      <div class="text" part="text"><div class="word" part="word"></div><div class="body"></div></div>`;
+    this.playButton = root.querySelector('.play');
+    this.stopButton = root.querySelector('.stop');
+    this.rateSlider = root.querySelector('.rate');
+    this.textView = root.querySelector('.text');
+    this.wordBox = root.querySelector('.word');
+    this.body = root.querySelector('.body');
+    this.playButton.addEventListener('click', () => {
+      if (this.reader.state === 'playing') this.reader.pause();
+      else this.reader.play();
+    });
+    this.stopButton.addEventListener('click', () => this.reader.stop());
+    this.rateSlider.addEventListener('change', () => this.reader.setRate(this.rateSlider.value));
+    // double-click a word to read from there
+    this.body.addEventListener('dblclick', (ev) => {
+      const pos = this.offsetAt(ev.clientX, ev.clientY);
+      if (pos === null) return;
+      this.reader.seek(pos);
+      if (this.reader.state !== 'playing') this.reader.play();
+    });
+    this.reader.addEventListener('load', () => this.renderText());
+    this.reader.addEventListener('boundary', e => this.highlightWord(e.detail.start, e.detail.end));
+    this.reader.addEventListener('statechange', () => this.updateControls());
+    for (const type of TTS_READER_EVENTS) {
+      this.reader.addEventListener(type, e => this.dispatchEvent(new CustomEvent(type, {detail: e.detail})));
+    }
+  }
+
+  // While the page is still parsing, the element is connected before its text is; read it once
+  // the document has been parsed
+  connectedCallback() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.loadOwnText(), {once: true});
+    } else {
+      this.loadOwnText();
+    }
+  }
+
+  loadOwnText() {
+    if (!this.isConnected || this.reader.text || this.hasAttribute('src')) return;
+    const text = this.textContent.trim();
+    if (text) this.reader.load(text);
+  }
+
+  disconnectedCallback() {
+    this.reader.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (oldValue === value) return;
+    if (name === 'src' && value) this.loadURL(value);
+    else if (name === 'voice') this.reader.setVoice(value);
+    else if (name === 'rate') {
+      this.reader.setRate(value);
+      this.rateSlider.value = this.reader.rate;
+    }
+  }
+
+  async loadURL(url) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      this.reader.load(await res.text());
+    } catch (e) {
+      this.dispatchEvent(new CustomEvent('error', {detail: {error: e}}));
+    }
+  }
+
+  /* ---------- Reader API ---------- */
+  get state() { return this.reader.state; }
+  get text() { return this.reader.text; }
+  get position() { return this.reader.position; }
+  load(source) { this.reader.load(source); }
+  play() { this.reader.play(); }
+  pause() { this.reader.pause(); }
+  stop() { this.reader.stop(); }
+  seek(pos) { this.reader.seek(pos); }
+  setVoice(voice) { this.reader.setVoice(voice); }
+  setRate(rate) {
+    this.reader.setRate(rate);
+    this.rateSlider.value = this.reader.rate;
+  }
+
+  /* ---------- View ---------- */
+  renderText() {
+    this.body.textContent = this.reader.text;
+    this.textNode = this.body.firstChild;
+    this.wordBox.style.display = 'none';
+    this.textView.scrollTop = 0;
+    this.updateControls();
+  }
+
+  updateControls() {
+    const state = this.reader.state;
+    this.playButton.textContent = state === 'playing' ? 'Pause' : 'Play';
+    this.playButton.disabled = !this.reader.text.trim();
+    this.stopButton.disabled = state === 'idle' && !this.reader.position;
+    if (state === 'idle' || state === 'ended') this.wordBox.style.display = 'none';
+  }
+
+  highlightWord(start, end) {
+    const node = this.textNode;
+    if (!node || !document.createRange) return;
+    const range = document.createRange();
+    range.setStart(node, Math.min(start, node.data.length));
+    range.setEnd(node, Math.min(Math.max(end, start + 1), node.data.length));
+    const r = range.getBoundingClientRect();
+    const box = this.textView.getBoundingClientRect();
+    const pad = 2;
+    this.wordBox.style.left = `${r.left - box.left + this.textView.scrollLeft - pad}px`;
+    this.wordBox.style.top = `${r.top - box.top + this.textView.scrollTop - pad}px`;
+    this.wordBox.style.width = `${r.width + pad * 2}px`;
+    this.wordBox.style.height = `${r.height + pad * 2}px`;
+    this.wordBox.style.display = 'block';
+    // keep the word in view
+    if (r.top < box.top + 20 || r.bottom > box.bottom - 20) {
+      this.textView.scrollTop += r.top - box.top - box.height / 2;
+    }
+  }
+
+  // Char offset at a viewport point, or null
+  offsetAt(x, y) {
+    const root = this.shadowRoot;
+    const pos = document.caretPositionFromPoint ? document.caretPositionFromPoint(x, y, {shadowRoots: [root]})
+      : document.caretRangeFromPoint ? document.caretRangeFromPoint(x, y) : null;
+    if (!pos) return null;
+    const node = pos.offsetNode || pos.startContainer;
+    const offset = pos.offsetNode ? pos.offset : pos.startOffset;
+    return node === this.textNode ? offset : null;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('tts-reader')) {
+  customElements.define('tts-reader', TTSReaderElement);
+}
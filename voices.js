@@ -0,0 +1,243 @@
+/*
+  Voice assignment
+  - The narrator is the voice picked under Voice. Paragraphs detected in another language
+    (language.js) switch to a voice for that language: the one assigned in the Voices panel,
+    otherwise the first installed voice that speaks it.
+  - Optionally, quoted dialogue is read with a second voice.
+  - Settings live in localStorage 'voiceAssignments'; the panel lists the languages found in
+    the current document.
+*/
+
+let voiceAssignments = loadVoiceAssignments(); // {languages, dialogue, dialogueVoice, byLanguage: {lang: voiceName}}
+let voiceRunCache = {text: null, key: '', runs: [], starts: []};
+const voiceAssignModal = $('voiceAssignModal');
+const voiceAssignBtn = $('voiceAssignBtn');
+const closeVoiceAssignBtn = $('closeVoiceAssignBtn');
+const closeVoiceAssignFooter = $('closeVoiceAssignFooter');
+const autoLanguageToggle = $('autoLanguageToggle');
+const dialogueToggle = $('dialogueToggle');
+const dialogueVoiceSelect = $('dialogueVoiceSelect');
+const languageVoiceRows = $('languageVoiceRows');
+
+function loadVoiceAssignments() {
+  const defaults = {languages: true, dialogue: false, dialogueVoice: '', byLanguage: {}};
+  try {
+    const saved = JSON.parse(localStorage.getItem('voiceAssignments') || 'null');
+    if (saved && typeof saved === 'object') return Object.assign(defaults, saved);
+  } catch (_) {}
+  return defaults;
+}
+
+function saveVoiceAssignments() {
+  localStorage.setItem('voiceAssignments', JSON.stringify(voiceAssignments));
+  scheduleSettingRestart(); // script.js
+}
+
+/* ---------- Picking voices ---------- */
+function voiceByName(name) {
+  return name ? voices.find(v => v.name === name) || null : null;
+}
+
+function voicesForLanguage(lang) {
+  return voices.filter(v => languageBase(v.lang) === lang);
+}
+
+// The assigned voice, the narrator if it speaks the language, else the best installed match
+function voiceForLanguage(lang, narrator) {
+  if (!lang) return narrator;
+  const assigned = voiceByName(voiceAssignments.byLanguage[lang]);
+  if (assigned) return assigned;
+  if (narrator && languageBase(narrator.lang) === lang) return narrator;
+  const matches = voicesForLanguage(lang);
+  return matches.find(v => v.default) || matches.find(v => v.localService) || matches[0] || narrator;
+}
+
+function voiceForRun(run, narrator) {
+  const voice = voiceForLanguage(run.lang, narrator);
+  const dialogue = run.dialogue ? voiceByName(voiceAssignments.dialogueVoice) : null;
+  // a dialogue voice in another language would mispronounce the quote, so it only replaces its own
+  if (dialogue && (!voice || languageBase(dialogue.lang) === languageBase(voice.lang))) return dialogue;
+  return voice;
+}
+
+function dialogueEnabled() {
+  return voiceAssignments.dialogue && !!voiceByName(voiceAssignments.dialogueVoice);
+}
+
+// Runs for the whole of currentText, recomputed when the text or the options change
+function documentVoiceRuns() {
+  const narrator = selectedVoice();
+  const opts = {
+    languages: !!voiceAssignments.languages,
+    dialogue: dialogueEnabled(),
+    defaultLang: narrator ? languageBase(narrator.lang) : null
+  };
+  const key = JSON.stringify(opts);
+  if (voiceRunCache.text !== currentText || voiceRunCache.key !== key) {
+    const runs = splitVoiceRuns(currentText, opts);
+    voiceRunCache = {text: currentText, key, runs, starts: runs.map(r => r.start)};
+  }
+  return voiceRunCache;
+}
+
+/**
+ * Voices for currentText[start, end) as [{start, end, voice}] (global offsets, merged when
+ * neighbours share a voice). One narrator run when language switching and dialogue are off.
+ */
+function voiceRunsFor(start, end) {
+  const narrator = selectedVoice();
+  if (!voiceAssignments.languages && !dialogueEnabled()) return [{start, end, voice: narrator}];
+  const {runs, starts} = documentVoiceRuns();
+  const out = [];
+  for (let i = findChunkIndex(starts, start); i < runs.length && runs[i].start < end; i++) {
+    const s = Math.max(start, runs[i].start);
+    const e = Math.min(end, runs[i].end);
+    if (e <= s) continue;
+    const voice = voiceForRun(runs[i], narrator);
+    const last = out[out.length - 1];
+    if (last && last.voice === voice) last.end = e;
+    else out.push({start: s, end: e, voice});
+  }
+  return out.length ? out : [{start, end, voice: narrator}];
+}
+
+/* ---------- Panel ---------- */
+function languageName(lang) {
+  try {
+    return new Intl.DisplayNames([navigator.language || 'en'], {type: 'language'}).of(lang) || lang;
+  } catch (_) {
+    return lang;
+  }
+}
+
+function voiceOption(v) {
+  const opt = document.createElement('option');
+  opt.value = v.name;
+  opt.textContent = `${v.name} — ${v.lang}`;
+  return opt;
+}
+
+// Languages of the current document by amount of text, then any others that have a voice assigned
+function documentLanguages() {
+  const narrator = selectedVoice();
+  const sizes = {};
+  const runs = splitVoiceRuns(currentText, {languages: true, defaultLang: narrator ? languageBase(narrator.lang) : null});
+  for (const r of runs) if (r.lang) sizes[r.lang] = (sizes[r.lang] || 0) + r.end - r.start;
+  const langs = Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a]);
+  for (const lang of Object.keys(voiceAssignments.byLanguage)) if (!langs.includes(lang)) langs.push(lang);
+  return langs;
+}
+
+function renderLanguageVoiceRows() {
+  if (!languageVoiceRows) return;
+  languageVoiceRows.innerHTML = '';
+  const langs = documentLanguages();
+  if (!langs.length) {
+    languageVoiceRows.innerHTML = '<div class="small-muted">Load a document to see the languages it contains.</div>';
+    return;
+  }
+  const narrator = selectedVoice();
+  for (const lang of langs) {
+    const row = document.createElement('label');
+    row.className = 'voice-assign-row';
+    const name = document.createElement('span');
+    name.textContent = languageName(lang);
+    const select = document.createElement('select');
+    const auto = document.createElement('option');
+    const autoVoice = voiceForLanguage(lang, narrator);
+    auto.value = '';
+    auto.textContent = autoVoice && voiceByName(voiceAssignments.byLanguage[lang]) !== autoVoice
+      ? `Automatic (${autoVoice.name})`
+      : 'Automatic';
+    select.appendChild(auto);
+    const matching = voicesForLanguage(lang);
+    if (!matching.length) {
+      const none = document.createElement('option');
+      none.disabled = true;
+      none.textContent = 'No installed voice for this language';
+      select.appendChild(none);
+    }
+    for (const v of matching) select.appendChild(voiceOption(v));
+    const others = document.createElement('optgroup');
+    others.label = 'Other voices';
+    for (const v of voices) if (!matching.includes(v)) others.appendChild(voiceOption(v));
+    select.appendChild(others);
+    select.value = voiceAssignments.byLanguage[lang] || '';
+    if (select.selectedIndex < 0) select.value = '';
+    select.addEventListener('change', () => {
+      if (select.value) voiceAssignments.byLanguage[lang] = select.value;
+      else delete voiceAssignments.byLanguage[lang];
+      saveVoiceAssignments();
+      renderLanguageVoiceRows();
+    });
+    row.appendChild(name);
+    row.appendChild(select);
+    languageVoiceRows.appendChild(row);
+  }
+}
+
+function renderDialogueVoices() {
+  if (!dialogueVoiceSelect) return;
+  dialogueVoiceSelect.innerHTML = '';
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'Choose a voice…';
+  dialogueVoiceSelect.appendChild(none);
+  for (const v of voices) dialogueVoiceSelect.appendChild(voiceOption(v));
+  dialogueVoiceSelect.value = voiceByName(voiceAssignments.dialogueVoice) ? voiceAssignments.dialogueVoice : '';
+}
+
+function renderVoiceAssignments() {
+  if (autoLanguageToggle) autoLanguageToggle.checked = !!voiceAssignments.languages;
+  if (dialogueToggle) dialogueToggle.checked = !!voiceAssignments.dialogue;
+  renderDialogueVoices();
+  renderLanguageVoiceRows();
+}
+
+function openVoiceAssignments() {
+  if (!voiceAssignModal) return;
+  renderVoiceAssignments();
+  voiceAssignModal.style.display = 'flex';
+  voiceAssignModal.setAttribute('aria-hidden', 'false');
+}
+
+function closeVoiceAssignments() {
+  if (!voiceAssignModal) return;
+  voiceAssignModal.style.display = 'none';
+  voiceAssignModal.setAttribute('aria-hidden', 'true');
+}
+
+if (voiceAssignBtn) voiceAssignBtn.addEventListener('click', openVoiceAssignments);
+if (closeVoiceAssignBtn) closeVoiceAssignBtn.addEventListener('click', closeVoiceAssignments);
+if (closeVoiceAssignFooter) closeVoiceAssignFooter.addEventListener('click', closeVoiceAssignments);
+if (voiceAssignModal) {
+  voiceAssignModal.addEventListener('click', (e) => {
+    if (e.target === voiceAssignModal) closeVoiceAssignments();
+  });
+  voiceAssignModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeVoiceAssignments();
+  });
+}
+if (autoLanguageToggle) {
+  autoLanguageToggle.addEventListener('change', () => {
+    voiceAssignments.languages = autoLanguageToggle.checked;
+    saveVoiceAssignments();
+  });
+}
+if (dialogueToggle) {
+  dialogueToggle.addEventListener('change', () => {
+    voiceAssignments.dialogue = dialogueToggle.checked;
+    if (dialogueToggle.checked && !voiceAssignments.dialogueVoice && dialogueVoiceSelect) dialogueVoiceSelect.focus();
+    saveVoiceAssignments();
+  });
+}
+if (dialogueVoiceSelect) {
+  dialogueVoiceSelect.addEventListener('change', () => {
+    voiceAssignments.dialogueVoice = dialogueVoiceSelect.value;
+    if (dialogueVoiceSelect.value) {
+      voiceAssignments.dialogue = true;
+      if (dialogueToggle) dialogueToggle.checked = true;
+    }
+    saveVoiceAssignments();
+  });
+}